@@ -0,0 +1,196 @@
+// COGNITIVE INSIGHT ENGINE - Analysis Worker Pool
+// Version 3.2 - Runs CPU-bound analyses on worker threads so the server event loop stays responsive
+
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const WORKER_SCRIPT = path.join(__dirname, 'analysis-worker.js');
+
+class AnalysisPool {
+    constructor(options = {}) {
+        this.size = options.size || Math.max(1, (os.availableParallelism?.() || os.cpus().length) - 1);
+        this.maxQueue = options.maxQueue ?? 100;
+        this.timeout = options.timeout ?? 30000; // milliseconds from submission; 0 disables
+        this.workerData = options.workerData || {};
+        this.workers = [];
+        this.queue = [];
+        this.nextJobId = 1;
+        this.closed = false;
+        this.stats = {
+            submitted: 0,
+            completed: 0,
+            failed: 0,
+            timedOut: 0,
+            rejected: 0,
+            workerRestarts: 0,
+            totalRunTime: 0
+        };
+
+        for (let i = 0; i < this.size; i++) {
+            this.workers.push(this.spawnWorker());
+        }
+    }
+
+    // ========== JOBS ==========
+
+    // Resolves with the engine method's result; rejects with code POOL_BUSY, JOB_TIMEOUT or POOL_CLOSED
+    run(method, args = []) {
+        if (this.closed) {
+            return Promise.reject(this.poolError('Analysis pool is closed', 'POOL_CLOSED'));
+        }
+        if (!this.hasCapacity()) {
+            return Promise.reject(this.busyError());
+        }
+
+        this.stats.submitted++;
+        return new Promise((resolve, reject) => {
+            const job = { id: this.nextJobId++, method, args, resolve, reject, worker: null, startedAt: null };
+            if (this.timeout > 0) {
+                job.timer = setTimeout(() => this.expire(job), this.timeout);
+            }
+            this.queue.push(job);
+            this.dispatch();
+        });
+    }
+
+    // Whether `count` more jobs can start or wait without overflowing the queue
+    hasCapacity(count = 1) {
+        const idle = this.workers.filter(worker => !worker.job).length;
+        return this.queue.length + count <= this.maxQueue + idle;
+    }
+
+    dispatch() {
+        for (const worker of this.workers) {
+            if (this.queue.length === 0) return;
+            if (worker.job) continue;
+
+            const job = this.queue.shift();
+            job.worker = worker;
+            job.startedAt = Date.now();
+            worker.job = job;
+            worker.postMessage({ id: job.id, method: job.method, args: job.args });
+        }
+    }
+
+    settle(job, error, result) {
+        clearTimeout(job.timer);
+        if (job.worker) job.worker.job = null;
+
+        if (error) {
+            this.stats.failed++;
+            job.reject(error);
+        } else {
+            this.stats.completed++;
+            this.stats.totalRunTime += Date.now() - job.startedAt;
+            job.resolve(result);
+        }
+        this.dispatch();
+    }
+
+    // A running job can only be stopped with its worker, which is then replaced
+    expire(job) {
+        this.stats.timedOut++;
+        const error = this.poolError(`Analysis timed out after ${this.timeout}ms`, 'JOB_TIMEOUT');
+        if (job.worker) {
+            this.replaceWorker(job.worker);
+        } else {
+            this.queue = this.queue.filter(queued => queued !== job);
+        }
+        this.settle(job, error);
+    }
+
+    // ========== WORKERS ==========
+
+    spawnWorker() {
+        const worker = new Worker(WORKER_SCRIPT, { workerData: this.workerData });
+        worker.job = null;
+        worker.on('message', message => {
+            const job = worker.job;
+            if (!job || job.id !== message.id) return;
+            if (message.error) {
+                this.settle(job, new Error(message.error));
+            } else {
+                this.settle(job, null, message.result);
+            }
+        });
+        worker.on('error', error => {
+            if (worker.job) this.settle(worker.job, error);
+        });
+        worker.on('exit', () => {
+            if (worker.retired || this.closed) return;
+            // Crashed: fail its job and keep the pool at full size
+            if (worker.job) this.settle(worker.job, this.poolError('Analysis worker exited unexpectedly', 'WORKER_EXIT'));
+            this.replaceWorker(worker);
+        });
+        return worker;
+    }
+
+    replaceWorker(worker) {
+        worker.retired = true;
+        worker.terminate();
+        const index = this.workers.indexOf(worker);
+        if (index !== -1 && !this.closed) {
+            this.workers[index] = this.spawnWorker();
+            this.stats.workerRestarts++;
+        }
+    }
+
+    async close() {
+        this.closed = true;
+        this.queue.forEach(job => {
+            clearTimeout(job.timer);
+            job.reject(this.poolError('Analysis pool is closed', 'POOL_CLOSED'));
+        });
+        this.queue = [];
+        await Promise.all(this.workers.map(worker => {
+            worker.retired = true;
+            if (worker.job) {
+                clearTimeout(worker.job.timer);
+                worker.job.reject(this.poolError('Analysis pool is closed', 'POOL_CLOSED'));
+            }
+            return worker.terminate();
+        }));
+    }
+
+    // ========== UTILITY METHODS ==========
+
+    poolError(message, code) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    // Counts as a rejection; callers turning work away up front use it too
+    busyError() {
+        this.stats.rejected++;
+        const error = this.poolError('Analysis queue is full', 'POOL_BUSY');
+        error.retryAfter = this.estimateWait();
+        return error;
+    }
+
+    // Seconds until a queue slot is likely free, from the average run time so far
+    estimateWait() {
+        const averageRunTime = this.stats.completed > 0 ? this.stats.totalRunTime / this.stats.completed : 1000;
+        return Math.max(1, Math.ceil((this.queue.length / this.size) * averageRunTime / 1000));
+    }
+
+    getStatistics() {
+        const busy = this.workers.filter(worker => worker.job).length;
+        return {
+            size: this.size,
+            busy: busy,
+            idle: this.size - busy,
+            queued: this.queue.length,
+            maxQueue: this.maxQueue,
+            utilization: busy / this.size,
+            timeout: this.timeout,
+            ...this.stats,
+            averageRunTime: this.stats.completed > 0 ? Math.round(this.stats.totalRunTime / this.stats.completed) : 0
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnalysisPool;
+}
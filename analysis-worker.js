@@ -0,0 +1,31 @@
+// COGNITIVE INSIGHT ENGINE - Analysis Worker
+// Version 3.2 - One engine per worker thread; runs jobs posted by AnalysisPool
+
+const { parentPort, workerData } = require('worker_threads');
+const KNOWLEDGE_BASE = require('./public/core/knowledge.js');
+const CognitiveEngine = require('./public/core/engine.js');
+const { createCacheBackend } = require('./public/core/cache-backends.js');
+
+// Engine progress logging would interleave across workers
+console.log = () => {};
+
+const { cacheBackend, ...engineOptions } = workerData || {};
+const engine = new CognitiveEngine(KNOWLEDGE_BASE, {
+    ...engineOptions,
+    cacheBackend: cacheBackend ? createCacheBackend(cacheBackend.type, cacheBackend.options) : null
+});
+
+const JOBS = {
+    analyze: (text, options) => engine.analyzeAsync(text, options),
+    analyzeConversation: (turns, options) => engine.analyzeConversation(turns, options)
+};
+
+parentPort.on('message', async ({ id, method, args }) => {
+    try {
+        if (!JOBS[method]) throw new Error(`Unknown analysis job: ${method}`);
+        const result = await JOBS[method](...args);
+        parentPort.postMessage({ id, result });
+    } catch (error) {
+        parentPort.postMessage({ id, error: error.message });
+    }
+});
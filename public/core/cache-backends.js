@@ -0,0 +1,185 @@
+// COGNITIVE INSIGHT ENGINE - Persistent Cache Backends
+// Version 3.2 - Shared analysis storage that outlives the process (memory, SQLite file, Redis)
+//
+// Every backend implements the same asynchronous interface:
+//   get(key) -> value | null, set(key, value), delete(key), clear(), close()
+// Values are plain JSON-serializable objects; expired entries read as missing.
+
+const AnalysisCache = require('./cache.js');
+
+// ========== MEMORY ==========
+
+class MemoryCacheBackend {
+    constructor(options = {}) {
+        this.name = 'memory';
+        this.store = new AnalysisCache(options);
+    }
+
+    async get(key) {
+        return this.store.get(key);
+    }
+
+    async set(key, value) {
+        this.store.set(key, value);
+    }
+
+    async delete(key) {
+        this.store.remove(key);
+    }
+
+    async clear() {
+        this.store.clear();
+    }
+
+    async close() {}
+}
+
+// ========== SQLITE ==========
+
+class SqliteCacheBackend {
+    constructor(options = {}) {
+        this.name = 'sqlite';
+        this.filename = options.filename || 'analysis-cache.sqlite';
+        this.ttl = options.ttl ?? 0;
+        this.now = options.now || Date.now;
+        this.db = options.db || null;
+        this.ready = null;
+    }
+
+    // The driver is an optional dependency, loaded on first use
+    open() {
+        if (!this.ready) {
+            if (!this.db) {
+                const sqlite3 = require('sqlite3');
+                this.db = new sqlite3.Database(this.filename);
+            }
+            this.ready = this.run(
+                'CREATE TABLE IF NOT EXISTS analysis_cache (key TEXT PRIMARY KEY, value TEXT NOT NULL, expires_at INTEGER)'
+            );
+        }
+        return this.ready;
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, error => error ? reject(error) : resolve());
+        });
+    }
+
+    async get(key) {
+        await this.open();
+        const row = await new Promise((resolve, reject) => {
+            this.db.get('SELECT value, expires_at FROM analysis_cache WHERE key = ?', [key],
+                (error, result) => error ? reject(error) : resolve(result));
+        });
+        if (!row) return null;
+        if (row.expires_at !== null && row.expires_at <= this.now()) {
+            await this.delete(key);
+            return null;
+        }
+        return JSON.parse(row.value);
+    }
+
+    async set(key, value) {
+        const serialized = JSON.stringify(value);
+        await this.open();
+        await this.run('INSERT OR REPLACE INTO analysis_cache (key, value, expires_at) VALUES (?, ?, ?)',
+            [key, serialized, this.ttl > 0 ? this.now() + this.ttl : null]);
+    }
+
+    async delete(key) {
+        await this.open();
+        await this.run('DELETE FROM analysis_cache WHERE key = ?', [key]);
+    }
+
+    async clear() {
+        await this.open();
+        await this.run('DELETE FROM analysis_cache');
+    }
+
+    async close() {
+        if (!this.db) return;
+        await this.ready;
+        await new Promise((resolve, reject) => this.db.close(error => error ? reject(error) : resolve()));
+        this.db = null;
+        this.ready = null;
+    }
+}
+
+// ========== REDIS ==========
+
+// Accepts a connected node-redis v4 client (or any stand-in with get/set/del/scanIterator), or a url
+class RedisCacheBackend {
+    constructor(options = {}) {
+        this.name = 'redis';
+        this.url = options.url || 'redis://localhost:6379';
+        this.prefix = options.prefix || 'cognitive-insight:analysis:';
+        this.ttl = options.ttl ?? 0;
+        this.client = options.client || null;
+        this.ownsClient = !options.client;
+        this.ready = null;
+    }
+
+    open() {
+        if (!this.ready) {
+            if (!this.client) {
+                const { createClient } = require('redis');
+                this.client = createClient({ url: this.url });
+            }
+            this.ready = this.client.isOpen === false ? this.client.connect() : Promise.resolve();
+        }
+        return this.ready;
+    }
+
+    async get(key) {
+        await this.open();
+        const value = await this.client.get(this.prefix + key);
+        return value === null || value === undefined ? null : JSON.parse(value);
+    }
+
+    async set(key, value) {
+        const serialized = JSON.stringify(value);
+        await this.open();
+        await this.client.set(this.prefix + key, serialized, this.ttl > 0 ? { PX: this.ttl } : undefined);
+    }
+
+    async delete(key) {
+        await this.open();
+        await this.client.del(this.prefix + key);
+    }
+
+    // Only this backend's keys, so a shared Redis keeps everything else
+    async clear() {
+        await this.open();
+        const keys = [];
+        for await (const key of this.client.scanIterator({ MATCH: `${this.prefix}*` })) {
+            keys.push(key);
+        }
+        if (keys.length > 0) await this.client.del(keys);
+    }
+
+    async close() {
+        if (this.ownsClient && this.client?.isOpen) await this.client.quit();
+        this.ready = null;
+    }
+}
+
+// ========== FACTORY ==========
+
+const CACHE_BACKENDS = {
+    memory: MemoryCacheBackend,
+    sqlite: SqliteCacheBackend,
+    redis: RedisCacheBackend
+};
+
+function createCacheBackend(type = 'memory', options = {}) {
+    const Backend = CACHE_BACKENDS[type];
+    if (!Backend) {
+        throw new Error(`Unknown cache backend: ${type}. Available: ${Object.keys(CACHE_BACKENDS).join(', ')}`);
+    }
+    return new Backend(options);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MemoryCacheBackend, SqliteCacheBackend, RedisCacheBackend, createCacheBackend };
+}
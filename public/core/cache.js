@@ -0,0 +1,140 @@
+// COGNITIVE INSIGHT ENGINE - Analysis Cache
+// Version 3.2 - Least-recently-used cache bounded by memory, with optional expiry
+
+class AnalysisCache {
+    constructor(options = {}) {
+        this.maxBytes = options.maxBytes ?? 32 * 1024 * 1024;
+        this.maxEntries = options.maxEntries ?? Infinity;
+        this.ttl = options.ttl ?? 0; // milliseconds; 0 never expires
+        this.now = options.now || Date.now;
+        this.entries = new Map(); // insertion order doubles as recency order
+        this.bytes = 0;
+        this.resetStatistics();
+    }
+
+    // ========== KEYS ==========
+
+    // 53-bit string hash (cyrb53); keys narrow the search, get() still verifies the stored source
+    static hash(str, seed = 0) {
+        let h1 = 0xdeadbeef ^ seed;
+        let h2 = 0x41c6ce57 ^ seed;
+        for (let i = 0; i < str.length; i++) {
+            const char = str.charCodeAt(i);
+            h1 = Math.imul(h1 ^ char, 2654435761);
+            h2 = Math.imul(h2 ^ char, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+    }
+
+
+    // ========== ENTRIES ==========
+
+    // `matches` checks the caller's copy of the stored value; a mismatch is a hash collision
+    get(key, matches = null) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            this.stats.misses++;
+            return null;
+        }
+        if (this.isExpired(entry)) {
+            this.remove(key);
+            this.stats.expirations++;
+            this.stats.misses++;
+            return null;
+        }
+        const value = JSON.parse(entry.serialized);
+        if (matches && !matches(value)) {
+            this.stats.collisions++;
+            this.stats.misses++;
+            return null;
+        }
+
+        // Move to the most recently used end
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.stats.hits++;
+        return value;
+    }
+
+    // Values are kept serialized, as in the persistent backends: one stringify per store both
+    // copies the value and sizes it (two bytes per character), and each hit parses a private copy
+    set(key, value) {
+        const serialized = JSON.stringify(value);
+        const size = serialized.length * 2;
+        this.remove(key);
+        if (size > this.maxBytes) return false;
+
+        this.entries.set(key, {
+            serialized: serialized,
+            size: size,
+            expiresAt: this.ttl > 0 ? this.now() + this.ttl : Infinity
+        });
+        this.bytes += size;
+        this.stats.sets++;
+
+        // Least recently used entries go first
+        while (this.bytes > this.maxBytes || this.entries.size > this.maxEntries) {
+            this.remove(this.entries.keys().next().value);
+            this.stats.evictions++;
+        }
+        return true;
+    }
+
+    has(key) {
+        const entry = this.entries.get(key);
+        return Boolean(entry) && !this.isExpired(entry);
+    }
+
+    remove(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return false;
+        this.entries.delete(key);
+        this.bytes -= entry.size;
+        return true;
+    }
+
+    clear() {
+        this.entries.clear();
+        this.bytes = 0;
+    }
+
+    isExpired(entry) {
+        return entry.expiresAt <= this.now();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    // ========== STATISTICS ==========
+
+    getStatistics() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            ...this.stats,
+            size: this.entries.size,
+            bytes: this.bytes,
+            maxBytes: this.maxBytes,
+            maxEntries: this.maxEntries,
+            ttl: this.ttl,
+            hitRate: lookups > 0 ? (this.stats.hits / lookups) * 100 : 0
+        };
+    }
+
+    resetStatistics() {
+        this.stats = {
+            hits: 0,
+            misses: 0,
+            sets: 0,
+            evictions: 0,
+            expirations: 0,
+            collisions: 0
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnalysisCache;
+}
@@ -17,7 +17,8 @@ class ConfidenceScorer {
                 self_critic: 0.20,     // 20%
                 personalization: 0.08,  // 8%
                 mind_reading: 0.12,     // 12%
-                emotional_reasoning: 0.18 // 18%
+                emotional_reasoning: 0.18, // 18%
+                hyper_independence: 0.10 // 10%
             },
             drivers: {
                 control: 0.30,
@@ -123,8 +124,9 @@ class ConfidenceScorer {
         markers.forEach(marker => {
             const markerInfo = this.kb.lexicon[marker.word];
             if (markerInfo && markerInfo.context_required) {
-                // Would need actual context analysis - simplified for now
-                contextScore += 0.6;
+                // "general" (or no context) means no context rule matched the marker
+                const ruleMatched = Boolean(marker.context) && marker.context !== 'general';
+                contextScore += ruleMatched ? 0.9 : 0.6;
             } else {
                 contextScore += 0.8; // No context requirement = higher base score
             }
@@ -1,208 +1,448 @@
 // COGNITIVE INSIGHT ENGINE - Conflict Detection Module
-// Version 3.0 - Advanced Contradiction Analysis
+// Version 3.2 - One detector registry shared by the engine and the resolver
+//
+// Every detector returns conflicts with a stable `id` (type plus the positions or names involved),
+// the `detector` that found it and a `severity` on the 0-10 SEVERITY_SCALE, the same scale as
+// driver scores. Detection runs once, in the engine; the resolver groups and summarizes the result.
 
-class ConflictResolver {
-  constructor(knowledgeBase) {
-    this.kb = knowledgeBase;
-  }
+/* global ANALYSIS_PROFILES */
 
-  analyzeConflicts(analysis) {
-    const narrativeConflicts = this.detectNarrativeConflicts(analysis.hits);
-    const driverConflicts = analysis.conflicts || [];
-    const patternConflicts = this.detectPatternConflicts(analysis.patterns);
-    const temporalConflicts = this.detectTemporalConflicts(analysis.temporalShift);
-    
-    const allConflicts = [
-      ...narrativeConflicts,
-      ...driverConflicts,
-      ...patternConflicts,
-      ...temporalConflicts
-    ];
-    
-    return {
-      narrative: narrativeConflicts,
-      drivers: driverConflicts,
-      patterns: patternConflicts,
-      temporal: temporalConflicts,
-      all: allConflicts,
-      overall_coherence: this.calculateCoherence(narrativeConflicts, driverConflicts),
-      conflict_density: allConflicts.length / Math.max(1, analysis.hits.length)
-    };
-  }
+const CONFLICT_PROFILES = typeof module !== 'undefined' && module.exports ? require('./profiles.js') : ANALYSIS_PROFILES;
 
-  detectNarrativeConflicts(hits) {
-    const conflicts = [];
-    
-    // Check for direct contradictions in lexicon
-    for (let i = 0; i < hits.length; i++) {
-      const hit1 = hits[i];
-      const marker1 = this.kb.lexicon[hit1.word];
-      
-      if (!marker1 || !marker1.contradicts) continue;
-      
-      for (let j = i + 1; j < hits.length; j++) {
-        const hit2 = hits[j];
-        
-        if (marker1.contradicts.includes(hit2.word)) {
-          const distance = Math.abs(hit2.position - hit1.position);
-          const distanceFactor = Math.max(0, 1 - (distance / 20)); // Closer = more significant
-          
-          if (distanceFactor > 0.3) { // Only if reasonably close
-            conflicts.push({
-              type: "lexical_contradiction",
-              words: [hit1.word, hit2.word],
-              categories: [hit1.category, hit2.category],
-              positions: [hit1.position, hit2.position],
-              distance: distance,
-              distanceFactor: distanceFactor,
-              interpretation: `Contradictory language detected: "${hit1.word}" vs "${hit2.word}"`,
-              severity: (hit1.adjustedWeight + hit2.adjustedWeight) * distanceFactor * 0.5
-            });
-          }
+// ========== DETECTORS ==========
+
+// Narrative arcs (TemporalAnalyzer.classifyArc) that move against each other
+const OPPOSING_ARCS = {
+  building: "resolving",
+  resolving: "building",
+  climactic: "dip_recovery",
+  dip_recovery: "climactic"
+};
+
+// context: { hits, patterns, drivers, temporalShift, lexicon, tokens, certainty, config }
+const CONFLICT_DETECTORS = {
+  // Lexicon words that contradict each other within a few hits
+  lexical: {
+    types: ["lexical_contradiction"],
+    detect({ hits, lexicon, config }, resolver) {
+      const conflicts = [];
+      hits.forEach((hit, i) => {
+        const marker = lexicon[hit.word];
+        if (!marker || !marker.contradicts) return;
+
+        for (let j = i + 1; j < Math.min(i + config.contradictionWindow, hits.length); j++) {
+          const otherHit = hits[j];
+          if (!marker.contradicts.includes(otherHit.word)) continue;
+
+          const distance = otherHit.position - hit.position;
+          const distanceFactor = Math.max(0, 1 - (distance / config.contradictionDecay));
+          if (distanceFactor === 0) continue;
+
+          conflicts.push({
+            id: resolver.conflictId("lexical_contradiction", [hit.position, otherHit.position]),
+            type: "lexical_contradiction",
+            words: [hit.word, otherHit.word],
+            categories: [hit.category, otherHit.category],
+            positions: [hit.position, otherHit.position],
+            sentenceIds: [...new Set([hit.sentenceId, otherHit.sentenceId])],
+            distance: distance,
+            distanceFactor: distanceFactor,
+            severity: resolver.weightSeverity((hit.adjustedWeight + otherHit.adjustedWeight) / 2) * distanceFactor,
+            interpretation: `Contradictory language: "${hit.originalWord || hit.word}" (${hit.category}) vs "${otherHit.originalWord || otherHit.word}" (${otherHit.category})`,
+            recommendation: "This may indicate mixed feelings or uncertainty about the topic."
+          });
         }
-      }
+      });
+      return conflicts;
     }
-    
-    // Check for self-negation patterns
-    hits.forEach(hit => {
-      if (hit.isNegated && hit.adjustedWeight > 1.5) {
-        conflicts.push({
+  },
+
+  // Hard negation of a heavy marker, judged on the marker's own weight before negation damps it
+  self_negation: {
+    types: ["self_negation"],
+    detect({ hits, config }, resolver) {
+      return hits
+        .filter(hit => hit.isNegated && hit.negationType === "hard" && hit.baseWeight > config.selfNegationMinWeight)
+        .map(hit => ({
+          id: resolver.conflictId("self_negation", [hit.position]),
           type: "self_negation",
           word: hit.word,
+          category: hit.category,
           position: hit.position,
+          sentenceIds: [hit.sentenceId],
+          negator: hit.negator,
+          scope: hit.negationScope,
           weight: hit.adjustedWeight,
-          interpretation: "Strong negation of significant marker may indicate defensive response or underlying belief",
-          recommendation: "Explore what emotions arise when considering the non-negated version",
-          severity: hit.adjustedWeight * 0.3
+          severity: resolver.weightSeverity(hit.baseWeight) * 0.5,
+          interpretation: "Strong negation of significant cognitive marker. May indicate defensive response or underlying belief.",
+          recommendation: "Explore what emotions arise when considering the non-negated version."
+        }));
+    }
+  },
+
+  // A marker both amplified and diminished, and sentences that hedge and then amplify
+  modifier: {
+    types: ["modifier_conflict", "hedge_amplification"],
+    detect(context, resolver) {
+      const conflicts = context.hits
+        .filter(hit => hit.hasModifierConflict && hit.intensifiers?.length > 0 && hit.diminishers?.length > 0)
+        .map(hit => resolver.modifierConflict(hit));
+      return conflicts.concat(resolver.hedgeAmplifications(context, conflicts));
+    }
+  },
+
+  // Two strong drivers the knowledge base marks as conflicting
+  driver: {
+    types: ["driver_conflict"],
+    detect({ drivers, config }, resolver) {
+      const conflicts = [];
+      resolver.pairs(Object.keys(drivers)).forEach(([d1, d2]) => {
+        const d1Info = resolver.kb.drivers[d1];
+        const d2Info = resolver.kb.drivers[d2];
+        if (!d1Info || !d2Info || !resolver.relates(d1Info.conflicts_with, d2, d2Info.conflicts_with, d1)) return;
+
+        const d1Score = drivers[d1].normalizedScore;
+        const d2Score = drivers[d2].normalizedScore;
+        if (d1Score <= config.driverConflictCutoff || d2Score <= config.driverConflictCutoff) return;
+
+        conflicts.push({
+          id: resolver.conflictId("driver_conflict", [d1, d2].sort()),
+          type: "driver_conflict",
+          drivers: [d1, d2],
+          driverNames: [d1Info.name, d2Info.name],
+          scores: [d1Score, d2Score],
+          severity: (d1Score + d2Score) / 2,
+          intensity: Math.min(d1Score, d2Score) / 10,
+          interpretation: `Strong tension between need for ${d1Info.name} (score: ${d1Score.toFixed(1)}) and ${d2Info.name} (score: ${d2Score.toFixed(1)}). This may cause internal conflict or decision paralysis.`,
+          recommendation: "Explore integration through dialectical thinking or mindfulness practices."
         });
-      }
-    });
-    
-    // Check for amplifier-diminisher conflicts
-    hits.forEach(hit => {
-      if (hit.modifiers && hit.modifiers.length > 1) {
-        const hasAmplifier = hit.modifiers.some(m => m.type.includes('amplifier'));
-        const hasDiminisher = hit.modifiers.some(m => m.type.includes('diminisher'));
-        
-        if (hasAmplifier && hasDiminisher) {
+      });
+      return conflicts;
+    }
+  },
+
+  // Confident patterns that compete, or that reinforce each other across conflicting drivers
+  pattern: {
+    types: ["pattern_conflict", "reinforced_conflict"],
+    detect({ patterns, config }, resolver) {
+      const conflicts = [];
+      resolver.pairs(Object.keys(patterns)).forEach(([p1, p2]) => {
+        const p1Info = resolver.kb.pattern_relationships?.[p1] || {};
+        const p2Info = resolver.kb.pattern_relationships?.[p2] || {};
+        const confidences = [patterns[p1].confidence, patterns[p2].confidence];
+
+        if (resolver.relates(p1Info.conflicts_with, p2, p2Info.conflicts_with, p1) &&
+            confidences.every(c => c > config.patternConflictMinConfidence)) {
           conflicts.push({
-            type: "modifier_conflict",
-            word: hit.word,
-            modifiers: hit.modifiers.map(m => m.word),
-            interpretation: "Conflicting modifiers suggest uncertainty about emotional intensity",
-            severity: hit.adjustedWeight * 0.2
+            id: resolver.conflictId("pattern_conflict", [p1, p2].sort()),
+            type: "pattern_conflict",
+            patterns: [p1, p2],
+            patternNames: [resolver.kb.patterns[p1]?.name || p1, resolver.kb.patterns[p2]?.name || p2],
+            confidences: confidences,
+            severity: (confidences[0] + confidences[1]) / 2 * ConflictResolver.SEVERITY_SCALE,
+            interpretation: `Competing cognitive patterns: ${p1} vs ${p2}. May indicate cognitive dissonance or transition between thinking styles.`,
+            recommendation: "Notice which situations bring out each way of thinking."
           });
         }
-      }
-    });
-    
-    return conflicts;
-  }
 
-  detectPatternConflicts(patternScores) {
-    const conflicts = [];
-    const patterns = Object.keys(patternScores);
-    
-    for (let i = 0; i < patterns.length; i++) {
-      for (let j = i + 1; j < patterns.length; j++) {
-        const p1 = patterns[i];
-        const p2 = patterns[j];
-        
-        const p1Info = this.kb.pattern_relationships[p1];
-        const p2Info = this.kb.pattern_relationships[p2];
-        
-        // Check if patterns conflict
-        if (p1Info && p1Info.conflicts_with && p1Info.conflicts_with.includes(p2)) {
-          if (patternScores[p1].confidence > 0.5 && patternScores[p2].confidence > 0.5) {
+        if (resolver.relates(p1Info.reinforces, p2, p2Info.reinforces, p1)) {
+          const driver1 = resolver.kb.patterns[p1]?.driver;
+          const driver2 = resolver.kb.patterns[p2]?.driver;
+          const driver1Info = resolver.kb.drivers[driver1];
+          const driver2Info = resolver.kb.drivers[driver2];
+
+          if (driver1 !== driver2 && driver1Info && driver2Info &&
+              resolver.relates(driver1Info.conflicts_with, driver2, driver2Info.conflicts_with, driver1)) {
             conflicts.push({
-              type: "pattern_conflict",
+              id: resolver.conflictId("reinforced_conflict", [p1, p2].sort()),
+              type: "reinforced_conflict",
               patterns: [p1, p2],
-              patternNames: [this.kb.patterns[p1]?.name || p1, this.kb.patterns[p2]?.name || p2],
-              confidences: [patternScores[p1].confidence, patternScores[p2].confidence],
-              interpretation: `Competing cognitive patterns: ${p1} vs ${p2}. May indicate cognitive dissonance or transition between thinking styles.`,
-              severity: (patternScores[p1].confidence + patternScores[p2].confidence) / 2
+              drivers: [driver1, driver2],
+              confidences: confidences,
+              severity: Math.max(...confidences) * ConflictResolver.SEVERITY_SCALE,
+              interpretation: `Patterns ${p1} and ${p2} reinforce each other, but their underlying drivers (${driver1} and ${driver2}) are in conflict. This creates a self-reinforcing tension loop.`,
+              recommendation: "Look for the point where one pattern hands off to the other."
             });
           }
         }
-        
-        // Check reinforcement patterns that would create tension
-        if (p1Info && p1Info.reinforces && p1Info.reinforces.includes(p2)) {
-          const pattern1 = this.kb.patterns[p1];
-          const pattern2 = this.kb.patterns[p2];
-          
-          if (pattern1 && pattern2 && pattern1.driver !== pattern2.driver) {
-            const driver1 = this.kb.drivers[pattern1.driver];
-            const driver2 = this.kb.drivers[pattern2.driver];
-            
-            if (driver1 && driver2 && driver1.conflicts_with && driver1.conflicts_with.includes(pattern2.driver)) {
-              conflicts.push({
-                type: "reinforced_conflict",
-                patterns: [p1, p2],
-                drivers: [pattern1.driver, pattern2.driver],
-                interpretation: `Pattern ${p1} reinforces ${p2}, but their underlying drivers (${pattern1.driver} and ${pattern2.driver}) are in conflict. This creates a self-reinforcing tension loop.`,
-                severity: Math.max(patternScores[p1].confidence, patternScores[p2].confidence)
-              });
-            }
-          }
-        }
-      }
+      });
+      return conflicts;
     }
-    
-    return conflicts;
+  },
+
+  // Patterns of one driver moving in opposite directions across the text
+  temporal: {
+    types: ["temporal_conflict"],
+    detect({ temporalShift }, resolver) {
+      if (!temporalShift || !temporalShift.arc) return [];
+
+      const conflicts = [];
+      resolver.pairs(Object.keys(temporalShift.arc)).forEach(([p1, p2]) => {
+        const arcs = [temporalShift.arc[p1], temporalShift.arc[p2]];
+        const driver = resolver.kb.patterns[p1]?.driver;
+        if (!driver || driver !== resolver.kb.patterns[p2]?.driver) return;
+        if (OPPOSING_ARCS[arcs[0]] !== arcs[1]) return;
+
+        // As strong as the weaker pattern at its peak
+        const trajectories = [p1, p2].map(p => temporalShift.trajectories?.[p]?.trajectory || []);
+        const peak = Math.min(...trajectories.map(weights => Math.max(0, ...weights)));
+
+        conflicts.push({
+          id: resolver.conflictId("temporal_conflict", [p1, p2].sort()),
+          type: "temporal_conflict",
+          patterns: [p1, p2],
+          arcs: arcs,
+          trajectories: trajectories,
+          driver: driver,
+          severity: resolver.weightSeverity(peak) * 0.6,
+          interpretation: `Within the same psychological driver (${driver}), ${p1} is ${arcs[0].replace('_', ' ')} while ${p2} is ${arcs[1].replace('_', ' ')}. This suggests mixed progress or compartmentalization.`,
+          recommendation: "Notice what eases one pattern and whether it could help with the other."
+        });
+      });
+      return conflicts;
+    }
+  }
+};
+
+// Groups of the analyzeConflicts() result, by detector
+const CONFLICT_GROUPS = {
+  narrative: ["lexical", "self_negation", "modifier"],
+  drivers: ["driver"],
+  patterns: ["pattern"],
+  temporal: ["temporal"]
+};
+
+class ConflictResolver {
+  // Severity of every conflict, and the weight of a marker that reaches the top of the scale
+  static SEVERITY_SCALE = 10;
+  static SEVERITY_MAX_WEIGHT = 5;
+
+  constructor(knowledgeBase, options = {}) {
+    this.kb = knowledgeBase;
+    this.detectors = CONFLICT_DETECTORS;
+    // The engine passes its resolved profile config per call; standalone use gets the defaults
+    this.config = options.config || ConflictResolver.defaultConfig();
+  }
+
+  static defaultConfig() {
+    return Object.fromEntries(
+      Object.entries(CONFLICT_PROFILES.keys).map(([key, spec]) => [key, spec.default])
+    );
   }
 
-  detectTemporalConflicts(temporalShift) {
+  // ========== DETECTION ==========
+
+  // Runs the named detectors (all by default) and returns deduplicated conflicts, most severe first
+  detectConflicts(context, config = this.config, detectors = Object.keys(this.detectors)) {
+    const fullContext = {
+      hits: [],
+      patterns: {},
+      drivers: {},
+      temporalShift: null,
+      lexicon: this.kb.lexicon || {},
+      tokens: [],
+      certainty: {
+        hedges: this.kb.diminishers?.uncertainty || [],
+        boosters: this.kb.amplifiers?.extreme || []
+      },
+      ...context,
+      config: config
+    };
+
+    const conflicts = detectors.flatMap(name => {
+      const detector = this.detectors[name];
+      if (!detector) {
+        throw new Error(`Unknown conflict detector: ${name}. Available: ${Object.keys(this.detectors).join(', ')}`);
+      }
+      return detector.detect(fullContext, this).map(conflict => ({
+        ...conflict,
+        detector: name,
+        severity: this.clampSeverity(conflict.severity)
+      }));
+    });
+
+    return this.deduplicate(conflicts);
+  }
+
+  // One conflict per id, keeping the most severe; ties keep the first found
+  deduplicate(conflicts) {
+    const byId = new Map();
+    conflicts.forEach(conflict => {
+      const existing = byId.get(conflict.id);
+      if (!existing || conflict.severity > existing.severity) byId.set(conflict.id, conflict);
+    });
+    return [...byId.values()].sort((a, b) =>
+      b.severity - a.severity || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0)
+    );
+  }
+
+  // ========== MODIFIER CONFLICTS ==========
+
+  // Which intensifier met which diminisher, how far apart, and what was left of the marker's weight
+  modifierConflict(hit) {
+    const collisions = hit.intensifiers.flatMap(intensifier => hit.diminishers.map(diminisher => ({
+      intensifier: { ...intensifier, position: hit.position - intensifier.distance },
+      diminisher: { ...diminisher, position: hit.position - diminisher.distance },
+      gap: Math.abs(intensifier.distance - diminisher.distance)
+    })));
+    const multiplier = hit.modifierEffect ?? 1;
+
+    return {
+      id: this.conflictId("modifier_conflict", [hit.position]),
+      type: "modifier_conflict",
+      word: hit.word,
+      category: hit.category,
+      position: hit.position,
+      sentenceIds: [hit.sentenceId],
+      intensifiers: hit.intensifiers.map(m => m.word),
+      diminishers: hit.diminishers.map(m => m.word),
+      collisions: collisions,
+      netEffect: {
+        multiplier: multiplier,
+        direction: multiplier > 1 ? "amplified" : (multiplier < 1 ? "diminished" : "neutral"),
+        weightChange: hit.baseWeight * (multiplier - 1)
+      },
+      severity: this.weightSeverity(hit.adjustedWeight) * 0.4,
+      interpretation: `"${collisions[0].diminisher.word}" softens "${hit.originalWord || hit.word}" while "${collisions[0].intensifier.word}" intensifies it, suggesting uncertainty about emotional intensity.`,
+      recommendation: "Notice when language both amplifies and diminishes intensity."
+    };
+  }
+
+  // A hedge followed later in the same sentence by a booster ("maybe... but absolutely always");
+  // needs the analysis tokens, and skips pairs a marker's modifier conflict already reports
+  hedgeAmplifications({ tokens, hits, certainty }, modifierConflicts = []) {
+    const reported = new Set(modifierConflicts.flatMap(conflict =>
+      conflict.collisions.map(c => `${c.diminisher.position}|${c.intensifier.position}`)
+    ));
+    const sentences = new Map();
+    tokens.forEach(token => {
+      if (token.isPunctuation) return;
+      if (!sentences.has(token.sentenceIndex)) sentences.set(token.sentenceIndex, []);
+      sentences.get(token.sentenceIndex).push(token);
+    });
+
     const conflicts = [];
-    
-    if (!temporalShift || !temporalShift.arc) return conflicts;
-    
-    // Check for resolution-escalation conflicts
-    const arcs = Object.entries(temporalShift.arc);
-    arcs.forEach(([pattern, arcType], i) => {
-      arcs.forEach(([otherPattern, otherArcType], j) => {
-        if (i < j) {
-          const patternInfo = this.kb.patterns[pattern];
-          const otherPatternInfo = this.kb.patterns[otherPattern];
-          
-          if (patternInfo && otherPatternInfo && patternInfo.driver === otherPatternInfo.driver) {
-            if ((arcType === "resolving" && otherArcType === "escalating") ||
-                (arcType === "escalating" && otherArcType === "resolving")) {
-              conflicts.push({
-                type: "temporal_conflict",
-                patterns: [pattern, otherPattern],
-                arcs: [arcType, otherArcType],
-                driver: patternInfo.driver,
-                interpretation: `Within the same psychological driver (${patternInfo.driver}), one pattern resolves while another escalates. This suggests mixed progress or compartmentalization.`,
-                severity: 0.6
-              });
-            }
-          }
-        }
+    sentences.forEach((sentenceTokens, sentenceIndex) => {
+      const hedges = this.findWords(sentenceTokens, certainty.hedges);
+      if (hedges.length === 0) return;
+      const amplifiers = this.findWords(sentenceTokens, certainty.boosters)
+        .filter(amplifier => amplifier.position > hedges[0].endPosition);
+      if (amplifiers.length === 0) return;
+
+      const hedge = hedges[0];
+      if (amplifiers.every(amplifier => reported.has(`${hedge.position}|${amplifier.position}`))) return;
+
+      // Weighted by the strongest marker the sequence reaches
+      const markerWeights = hits
+        .filter(hit => hit.sentenceIndex === sentenceIndex && hit.position > hedge.position)
+        .map(hit => hit.adjustedWeight);
+      const weight = markerWeights.length > 0 ? Math.max(...markerWeights) : ConflictResolver.SEVERITY_MAX_WEIGHT / 2;
+
+      conflicts.push({
+        id: this.conflictId("hedge_amplification", [hedge.position, amplifiers[0].position]),
+        type: "hedge_amplification",
+        hedges: hedges.filter(h => h.position < amplifiers[0].position).map(h => h.word),
+        amplifiers: amplifiers.map(a => a.word),
+        positions: [hedge.position, amplifiers[0].position],
+        sentenceIds: [`sentence-${sentenceIndex}`],
+        distance: amplifiers[0].position - hedge.position,
+        severity: this.weightSeverity(weight) * 0.4,
+        interpretation: `The sentence opens tentatively ("${hedge.word.replace(/_/g, ' ')}") and then asserts with certainty ("${amplifiers.map(a => a.word).join('", "')}"). The doubt may be giving way to a firmly held belief.`,
+        recommendation: "Ask which part feels truer: the hesitation or the certainty."
       });
     });
-    
     return conflicts;
   }
 
+  // List words (including two-word entries like "kind_of") in token order
+  findWords(tokens, words) {
+    const found = [];
+    tokens.forEach((token, i) => {
+      const next = tokens[i + 1];
+      const pair = next ? `${token.word}_${next.word}` : null;
+      if (pair && words.includes(pair)) {
+        found.push({ word: pair, position: token.position, endPosition: next.position });
+      } else if (words.includes(token.word)) {
+        found.push({ word: token.word, position: token.position, endPosition: token.position });
+      }
+    });
+    return found;
+  }
+
+  // ========== ANALYSIS ==========
+
+  // Groups the conflicts the engine already detected; analyses without them are detected here
+  analyzeConflicts(analysis) {
+    const all = Array.isArray(analysis.conflicts)
+      ? this.deduplicate(analysis.conflicts)
+      : this.detectConflicts({
+        hits: analysis.hits || [],
+        patterns: analysis.patterns || {},
+        drivers: analysis.drivers || {},
+        temporalShift: analysis.temporalShift || null
+      });
+
+    const groups = Object.fromEntries(
+      Object.entries(CONFLICT_GROUPS).map(([group, detectors]) => [
+        group,
+        all.filter(conflict => detectors.includes(conflict.detector || this.detectorFor(conflict.type)))
+      ])
+    );
+
+    return {
+      ...groups,
+      all: all,
+      overall_coherence: this.calculateCoherence(groups.narrative, groups.drivers),
+      conflict_density: all.length / Math.max(1, (analysis.hits || []).length)
+    };
+  }
+
+  detectorFor(type) {
+    return Object.keys(this.detectors).find(name => this.detectors[name].types.includes(type)) || null;
+  }
+
   calculateCoherence(narrativeConflicts, driverConflicts) {
     const totalConflicts = narrativeConflicts.length + driverConflicts.length;
-    
+
     if (totalConflicts === 0) return 0.9; // High coherence with no conflicts
-    
-    // Calculate weighted conflict score
-    const narrativeSeverity = narrativeConflicts.reduce((sum, c) => sum + (c.severity || 0.5), 0);
-    const driverSeverity = driverConflicts.reduce((sum, c) => sum + (c.severity || 0.5), 0);
-    const totalSeverity = narrativeSeverity + driverSeverity;
-    
+
+    // Average severity as a share of the scale
+    const totalSeverity = [...narrativeConflicts, ...driverConflicts]
+      .reduce((sum, c) => sum + (c.severity ?? ConflictResolver.SEVERITY_SCALE / 2), 0);
+
     // Coherence inversely related to conflict severity
-    const coherence = Math.max(0.1, 1 - (totalSeverity / (totalConflicts * 2)));
-    
-    return coherence;
+    return Math.max(0.1, 1 - (totalSeverity / (totalConflicts * ConflictResolver.SEVERITY_SCALE)));
+  }
+
+  // ========== UTILITY METHODS ==========
+
+  conflictId(type, members) {
+    return `${type}:${members.join('|')}`;
+  }
+
+  // Marker weight to the severity scale
+  weightSeverity(weight) {
+    return this.clampSeverity((weight / ConflictResolver.SEVERITY_MAX_WEIGHT) * ConflictResolver.SEVERITY_SCALE);
+  }
+
+  clampSeverity(severity) {
+    return Math.max(0, Math.min(ConflictResolver.SEVERITY_SCALE, severity || 0));
+  }
+
+  // Every unordered pair, in list order
+  pairs(items) {
+    return items.flatMap((item, i) => items.slice(i + 1).map(other => [item, other]));
+  }
+
+  // Whether either side lists the other; relations in the knowledge base aren't always symmetric
+  relates(firstList, second, secondList, first) {
+    return (Array.isArray(firstList) && firstList.includes(second)) ||
+      (Array.isArray(secondList) && secondList.includes(first));
   }
 
   generateConflictSummary(conflictAnalysis) {
     const { all, conflict_density, overall_coherence } = conflictAnalysis;
-    
+
     if (all.length === 0) {
       return {
         summary: "No significant cognitive conflicts detected. Language shows good internal consistency.",
@@ -210,23 +450,23 @@ class ConflictResolver {
         recommendation: "Continue current reflective practices."
       };
     }
-    
+
     const conflictTypes = all.reduce((acc, conflict) => {
       acc[conflict.type] = (acc[conflict.type] || 0) + 1;
       return acc;
     }, {});
-    
-    const primaryConflictType = Object.keys(conflictTypes).sort((a, b) => 
+
+    const primaryConflictType = Object.keys(conflictTypes).sort((a, b) =>
       conflictTypes[b] - conflictTypes[a]
     )[0];
-    
+
     let coherence_level = "low";
     if (overall_coherence > 0.7) coherence_level = "high";
     else if (overall_coherence > 0.4) coherence_level = "moderate";
-    
+
     let summary = `Detected ${all.length} cognitive conflict${all.length !== 1 ? 's' : ''} `;
     summary += `(coherence: ${coherence_level}). `;
-    
+
     if (primaryConflictType === "driver_conflict") {
       summary += "Primary tension between competing psychological needs. ";
     } else if (primaryConflictType === "lexical_contradiction") {
@@ -234,9 +474,9 @@ class ConflictResolver {
     } else if (primaryConflictType === "pattern_conflict") {
       summary += "Competing cognitive patterns detected, indicating transitional thinking. ";
     }
-    
+
     summary += `Conflict density: ${(conflict_density * 100).toFixed(1)}%`;
-    
+
     let recommendation = "";
     if (conflict_density > 0.3) {
       recommendation = "Consider exploring these contradictions through journaling or dialogue to increase self-awareness.";
@@ -245,7 +485,7 @@ class ConflictResolver {
     } else {
       recommendation = "Awareness of these patterns is the first step toward cognitive flexibility.";
     }
-    
+
     return {
       summary,
       coherence_level,
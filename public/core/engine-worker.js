@@ -0,0 +1,101 @@
+// COGNITIVE INSIGHT ENGINE - Web Worker
+// Version 3.2 - Runs the engine and its companion modules off the page's main thread
+//
+// Messages (every job message carries the job id):
+//   page -> worker: { type: 'analyze', id, text, options }, { type: 'cancel', id }
+//   worker -> page: { type: 'ready' }, { type: 'started', id }, { type: 'progress', id, stage, progress },
+//                   { type: 'result', id, report }, { type: 'error', id, message }, { type: 'cancelled', id }
+// A job that has started runs to completion inside the worker; the page cancels it by replacing the worker.
+
+/* global importScripts, KNOWLEDGE_BASE, CognitiveEngine, ConflictResolver, TemporalAnalyzer, ConfidenceScorer, NarrativeGenerator, PatternGraph */
+
+importScripts(
+    'knowledge.js',
+    'profiles.js',
+    'locales/en.js',
+    'locales/es.js',
+    'language.js',
+    '../models/semantic-context.js',
+    'temporal.js',
+    'cache.js',
+    'conflict.js',
+    'engine.js',
+    'confidence.js',
+    '../models/narrative-gen.js',
+    '../models/pattern-graph.js'
+);
+
+const engine = new CognitiveEngine(KNOWLEDGE_BASE);
+const conflictResolver = new ConflictResolver(KNOWLEDGE_BASE);
+const temporalAnalyzer = new TemporalAnalyzer(KNOWLEDGE_BASE);
+const confidenceScorer = new ConfidenceScorer(KNOWLEDGE_BASE);
+const narrativeGenerator = new NarrativeGenerator(KNOWLEDGE_BASE);
+const patternGraph = new PatternGraph(KNOWLEDGE_BASE);
+
+const queue = [];
+let running = false;
+
+// Everything the dashboard renders, so the page never runs a module itself
+function buildReport(text, analysis) {
+    patternGraph.updateWithAnalysis(analysis.patterns);
+    return {
+        analysis: analysis,
+        conflicts: conflictResolver.analyzeConflicts(analysis),
+        temporalFlow: temporalAnalyzer.analyzeTemporalFlow(text, analysis.hits, analysis.temporalShift.segments),
+        confidence: confidenceScorer.calculateOverallConfidence(analysis),
+        narrative: narrativeGenerator.generateIntegratedNarrative(analysis),
+        centrality: patternGraph.calculateCentrality()
+    };
+}
+
+function runJob(job) {
+    self.postMessage({ type: 'started', id: job.id });
+    engine.onProgress = (stage, progress) => {
+        // The engine's own 'complete' waits until the report is built
+        if (stage !== 'complete') self.postMessage({ type: 'progress', id: job.id, stage, progress });
+    };
+
+    try {
+        const analysis = engine.analyze(job.text, job.options);
+        self.postMessage({ type: 'progress', id: job.id, stage: 'report', progress: 0.95 });
+        const report = buildReport(job.text, analysis);
+        self.postMessage({ type: 'progress', id: job.id, stage: 'complete', progress: 1 });
+        self.postMessage({ type: 'result', id: job.id, report });
+    } catch (error) {
+        self.postMessage({ type: 'error', id: job.id, message: error.message });
+    } finally {
+        engine.onProgress = null;
+    }
+}
+
+// One job per task, so cancel messages that arrive meanwhile are seen before the next job starts
+function processQueue() {
+    if (running || queue.length === 0) return;
+    running = true;
+    setTimeout(() => {
+        running = false;
+        const job = queue.shift();
+        if (job) runJob(job);
+        processQueue();
+    }, 0);
+}
+
+self.onmessage = event => {
+    const message = event.data || {};
+    switch (message.type) {
+        case 'analyze':
+            queue.push({ id: message.id, text: message.text, options: message.options || {} });
+            processQueue();
+            break;
+        case 'cancel': {
+            const index = queue.findIndex(job => job.id === message.id);
+            if (index !== -1) queue.splice(index, 1);
+            self.postMessage({ type: 'cancelled', id: message.id });
+            break;
+        }
+        default:
+            self.postMessage({ type: 'error', id: message.id, message: `Unknown message type: ${message.type}` });
+    }
+};
+
+self.postMessage({ type: 'ready' });
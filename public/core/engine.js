@@ -1,23 +1,66 @@
 // COGNITIVE INSIGHT ENGINE - Enhanced Processing Engine
 // Version 3.2 - Advanced Pattern Detection & Analysis
 
-const fs = require('fs');
-const path = require('path');
+/* global LanguagePipeline, LOCALE_EN, LOCALE_ES, SemanticContextAnalyzer, ANALYSIS_PROFILES, TemporalAnalyzer, AnalysisCache, ConflictResolver */
+
+// Node requires its dependencies; a page or Web Worker loads them as scripts first (see engine-worker.js)
+const ENGINE_MODULES = typeof module !== 'undefined' && module.exports ? {
+    fs: require('fs'),
+    path: require('path'),
+    LanguagePipeline: require('./language.js'),
+    LOCALE_EN: require('./locales/en.js'),
+    LOCALE_ES: require('./locales/es.js'),
+    SemanticContextAnalyzer: require('../models/semantic-context.js'),
+    ANALYSIS_PROFILES: require('./profiles.js'),
+    TemporalAnalyzer: require('./temporal.js'),
+    AnalysisCache: require('./cache.js'),
+    ConflictResolver: require('./conflict.js')
+} : {
+    LanguagePipeline, LOCALE_EN, LOCALE_ES, SemanticContextAnalyzer, ANALYSIS_PROFILES, TemporalAnalyzer, AnalysisCache, ConflictResolver
+};
+
+// Speaker-labelled lines in plain-text transcripts and chat exports
+const TRANSCRIPT_LINE_PATTERNS = [
+    // "12/03/2024, 10:15 - Name: message" (phone chat exports)
+    { pattern: /^\[?(?<timestamp>\d{1,4}[./-]\d{1,2}[./-]\d{1,4},?\s+\d{1,2}:\d{2}(?::\d{2})?(?:\s?[ap]m)?)\]?\s*[-–]?\s*(?<speaker>[^:]{1,40}?):\s*(?<text>.*)$/i },
+    // "[10:15] Name: message"
+    { pattern: /^\[?(?<timestamp>\d{1,2}:\d{2}(?::\d{2})?(?:\s?[ap]m)?)\]?\s*[-–]?\s*(?<speaker>[^:]{1,40}?):\s*(?<text>.*)$/i },
+    // "Therapist: message", "**Client:** message"; capitalized labels only, so "I mean: ..." stays in the turn
+    { pattern: /^\s*\**(?<speaker>[\p{Lu}\d][\p{L}\p{N}.'-]*(?:\s+[\p{Lu}\d][\p{L}\p{N}.'-]*){0,2})\**\s*:\**\s*(?<text>.*)$/u }
+];
 
 class CognitiveEngine {
     constructor(knowledgeBase, options = {}) {
         this.kb = knowledgeBase;
-        this.contextWindow = options.contextWindow || this.kb.context_config?.window_size || 5;
-        this.temporalSegments = options.temporalSegments || 3;
-        this.minConfidenceThreshold = options.minConfidence || 0.3;
+        this.profiles = ENGINE_MODULES.ANALYSIS_PROFILES.profiles;
+        this.configKeys = ENGINE_MODULES.ANALYSIS_PROFILES.keys;
+        this.defaultProfile = options.profile || 'balanced';
+        // Engine-level settings override the profile; per-call settings override both
+        this.configOverrides = {
+            ...(options.contextWindow !== undefined && { contextWindow: options.contextWindow }),
+            ...(options.temporalSegments !== undefined && { temporalSegments: options.temporalSegments }),
+            ...(options.minConfidence !== undefined && { minConfidence: options.minConfidence }),
+            ...options.config
+        };
+        this.config = this.resolveConfig(this.defaultProfile, this.configOverrides);
         this.enableAdvancedFeatures = options.advancedFeatures !== false;
-        this.cache = new Map();
+        this.defaultLanguage = options.language || 'en';
+        this.cache = new ENGINE_MODULES.AnalysisCache(options.cache);
+        // Cached analyses are dropped whenever the knowledge base content changes
+        this.kbVersion = ENGINE_MODULES.AnalysisCache.hash(JSON.stringify(this.kb));
+        // Optional persistent backend shared between processes; see cache-backends.js
+        this.cacheBackend = options.cacheBackend || null;
+        // Called with (stage, fraction done) as an analysis advances; the Web Worker relays it to the page
+        this.onProgress = options.onProgress || null;
+        // Source text and tokens behind each analysis, for incremental update()
+        this.incrementalState = new WeakMap();
         this.stats = {
             analyses: 0,
             totalMarkers: 0,
             totalWords: 0,
-            cacheHits: 0,
-            cacheMisses: 0
+            backendHits: 0,
+            backendMisses: 0,
+            backendErrors: 0
         };
 
         // Load sentiment analysis if available
@@ -25,6 +68,15 @@ class CognitiveEngine {
         
         // Initialize advanced features
         this.initializeAdvancedFeatures();
+
+        // Language pipelines; English reads its lexicons from the knowledge base
+        this.languages = new Map();
+        [ENGINE_MODULES.LOCALE_EN, ENGINE_MODULES.LOCALE_ES, ...(options.languages || [])].forEach(pack => this.registerLanguage(pack));
+        this.getLanguage(); // fail fast on an unknown default
+        
+        this.semanticAnalyzer = new ENGINE_MODULES.SemanticContextAnalyzer(this.kb);
+        this.conflictResolver = new ENGINE_MODULES.ConflictResolver(this.kb);
+        this.temporalAnalyzer = new ENGINE_MODULES.TemporalAnalyzer(this.kb);
         
         console.log(`🧠 Cognitive Engine v3.2 initialized with ${Object.keys(this.kb.lexicon).length} markers`);
     }
@@ -41,20 +93,112 @@ class CognitiveEngine {
             });
         });
 
-        // Create optimized word lookup
-        this.wordLookup = new Map();
-        Object.entries(this.kb.lexicon).forEach(([word, data]) => {
-            this.wordLookup.set(word, data);
-        });
-
         // Compile regex patterns for faster matching
         this.compileRegexPatterns();
     }
 
+    // ========== ANALYSIS PROFILES ==========
+    
+    resolveConfig(profileName = this.defaultProfile, overrides = {}) {
+        const profile = this.profiles[profileName];
+        if (!profile) {
+            throw new Error(`Unknown analysis profile: ${profileName}`);
+        }
+        
+        const config = {};
+        Object.entries(this.configKeys).forEach(([key, spec]) => {
+            config[key] = spec.type === 'weights' ? { ...spec.default } : spec.default;
+        });
+        if (this.kb.context_config?.window_size) {
+            config.contextWindow = this.kb.context_config.window_size;
+        }
+        
+        [profile.settings, overrides].forEach(layer => {
+            Object.entries(layer || {}).forEach(([key, value]) => {
+                config[key] = this.validateConfigValue(key, value, config[key]);
+            });
+        });
+        
+        return { profile: profileName, ...config };
+    }
+
+    validateConfigValue(key, value, current) {
+        const spec = this.configKeys[key];
+        if (!spec) {
+            throw new Error(`Unknown config key: ${key}`);
+        }
+        
+        if (spec.type === 'weights') {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                throw new Error(`Config key "${key}" must be an object of weights`);
+            }
+            
+            const weights = { ...current };
+            Object.entries(value).forEach(([part, weight]) => {
+                if (!(part in spec.default)) {
+                    throw new Error(`Unknown weight "${part}" in config key "${key}"`);
+                }
+                if (typeof weight !== 'number' || !(weight >= 0 && weight <= 1)) {
+                    throw new Error(`Weight "${part}" in config key "${key}" must be a number between 0 and 1`);
+                }
+                weights[part] = weight;
+            });
+            
+            if (spec.sum !== undefined) {
+                const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+                if (Math.abs(total - spec.sum) > 1e-6) {
+                    throw new Error(`Weights in config key "${key}" must sum to ${spec.sum}`);
+                }
+            }
+            return weights;
+        }
+        
+        if (spec.type === 'enum') {
+            if (!spec.values.includes(value)) {
+                throw new Error(`Config key "${key}" must be one of: ${spec.values.join(', ')}`);
+            }
+            return value;
+        }
+        
+        if (typeof value !== 'number' || Number.isNaN(value)) {
+            throw new Error(`Config key "${key}" must be a number`);
+        }
+        if (spec.type === 'integer' && !Number.isInteger(value)) {
+            throw new Error(`Config key "${key}" must be an integer`);
+        }
+        if (value < spec.min || value > spec.max) {
+            throw new Error(`Config key "${key}" must be between ${spec.min} and ${spec.max}`);
+        }
+        return value;
+    }
+
+    registerLanguage(pack) {
+        const source = pack.usesKnowledgeBase ? {
+            lexicon: this.kb.lexicon,
+            negation_patterns: this.kb.negation_patterns,
+            amplifiers: this.kb.amplifiers,
+            diminishers: this.kb.diminishers,
+            temporal_markers: this.kb.temporal_markers,
+            sentiment: this.sentimentLexicon
+        } : {};
+
+        const language = new ENGINE_MODULES.LanguagePipeline({ ...source, ...pack });
+        this.languages.set(language.code, language);
+        return language;
+    }
+
+    getLanguage(code = this.defaultLanguage) {
+        const language = this.languages.get(code);
+        if (!language) {
+            throw new Error(`Unsupported language: ${code}`);
+        }
+        return language;
+    }
+
     compileRegexPatterns() {
         // Negation patterns
         this.negationRegex = new RegExp(
-            `\\b(${this.kb.negation_patterns?.hard_negation?.join('|') || 'not|never|no|don\\'t|won\\'t|can\\'t'})\\b`,
+            `\\b(${this.kb.negation_patterns?.hard_negation?.join('|') || "not|never|no|don't|won't|can't"})\\b`,
             'gi'
         );
 
@@ -77,22 +221,14 @@ class CognitiveEngine {
             ].join('|')})\\b`,
             'gi'
         );
-
-        // Temporal patterns
-        this.temporalRegex = {};
-        Object.entries(this.kb.temporal_markers || {}).forEach(([type, data]) => {
-            this.temporalRegex[type] = new RegExp(
-                `\\b(${data.words.join('|')})\\b`,
-                'gi'
-            );
-        });
     }
 
     loadSentimentLexicon() {
+        const { fs, path } = ENGINE_MODULES;
         try {
             // Try to load from external file, or use built-in
-            const sentimentPath = path.join(__dirname, '../data/sentiment-lexicon.json');
-            if (fs.existsSync(sentimentPath)) {
+            const sentimentPath = fs && path.join(__dirname, '../data/sentiment-lexicon.json');
+            if (fs && fs.existsSync(sentimentPath)) {
                 const data = JSON.parse(fs.readFileSync(sentimentPath, 'utf8'));
                 console.log(`📊 Loaded sentiment lexicon with ${Object.keys(data).length} words`);
                 return data;
@@ -132,120 +268,75 @@ class CognitiveEngine {
     // ========== ENHANCED TOKENIZATION ==========
     
     tokenize(text, options = {}) {
-        if (!text || typeof text !== 'string') return [];
-        
-        const tokens = [];
-        const words = text.toLowerCase()
-            .replace(/[.,!?;:"'()\[\]{}<>]/g, ' $& ')
-            .split(/\s+/)
-            .filter(token => token.length > 0);
-        
-        let position = 0;
-        words.forEach(word => {
-            tokens.push({
-                word: word,
-                original: text.substring(position, position + word.length),
-                position: tokens.length,
-                charPosition: position,
-                isPunctuation: /^[.,!?;:"'()\[\]{}<>]+$/.test(word)
-            });
-            position += word.length + 1; // +1 for space
-        });
+        const language = options.language || this.getLanguage();
+        const tokens = language.tokenize(text);
         
-        // Add sentence boundary detection
+        // Add paragraph, list, quote and sentence boundary detection
         if (options.detectSentences) {
-            this.addSentenceBoundaries(tokens, text);
+            language.markStructure(tokens, text);
+            this.addSentenceBoundaries(tokens, language);
         }
         
         return tokens;
     }
 
-    addSentenceBoundaries(tokens, originalText) {
-        let inSentence = false;
-        let sentenceStart = 0;
-        let sentenceIndex = 0;
-        
-        tokens.forEach((token, index) => {
-            if (!inSentence) {
-                inSentence = true;
-                sentenceStart = index;
-            }
-            
-            // Check for sentence end
-            if (/[.!?]/.test(token.word)) {
-                // Mark this and previous tokens as part of sentence
-                for (let i = sentenceStart; i <= index; i++) {
-                    tokens[i].sentenceIndex = sentenceIndex;
-                    tokens[i].sentencePosition = i - sentenceStart;
-                }
-                
-                // Mark next token as new sentence start
-                if (index + 1 < tokens.length) {
-                    sentenceStart = index + 1;
-                    sentenceIndex++;
-                }
-                inSentence = false;
-            }
-        });
-        
-        // Handle remaining tokens
-        if (inSentence) {
-            for (let i = sentenceStart; i < tokens.length; i++) {
-                tokens[i].sentenceIndex = sentenceIndex;
-                tokens[i].sentencePosition = i - sentenceStart;
-            }
-        }
+    addSentenceBoundaries(tokens, language = this.getLanguage()) {
+        return language.markSentences(tokens);
     }
 
     // ========== ADVANCED NEGATION DETECTION ==========
     
     detectNegationAdvanced(context, tokenIndex, tokens) {
+        const language = context?.language || this.getLanguage();
         const negationTypes = {
-            hard: { words: this.kb.negation_patterns?.hard_negation || [], strength: 1.0 },
-            soft: { words: this.kb.negation_patterns?.soft_negation || [], strength: 0.6 },
-            conditional: { words: this.kb.negation_patterns?.conditional_negation || [], strength: 0.3 }
+            hard: { words: language.negation.hard_negation || [], strength: this.config.hardNegationStrength },
+            soft: { words: language.negation.soft_negation || [], strength: this.config.softNegationStrength },
+            conditional: { words: language.negation.conditional_negation || [], strength: this.config.conditionalNegationStrength }
         };
+        const maxScope = language.negation.max_scope || 8;
+        const sentenceIndex = tokens[tokenIndex]?.sentenceIndex;
         
-        let bestNegation = { isNegated: false, type: "none", strength: 0, negator: null, distance: Infinity };
+        let bestNegation = { isNegated: false, type: "none", strength: 0, negator: null, distance: Infinity, scope: null };
+        let hardNegations = 0;
         
-        // Check context window
-        for (let i = Math.max(0, tokenIndex - 5); i < tokenIndex; i++) {
-            const word = tokens[i]?.word.toLowerCase();
+        // Walk back through the marker's clause only
+        for (let i = tokenIndex - 1; i >= 0 && tokenIndex - i <= maxScope; i--) {
+            if (tokens[i].sentenceIndex !== sentenceIndex || language.isClauseBoundary(tokens[i])) break;
+            
+            const negator = language.readNegatorEndingAt(tokens, i);
+            if (!negator) continue;
             
             for (const [type, data] of Object.entries(negationTypes)) {
-                if (data.words.includes(word)) {
-                    const distance = tokenIndex - i;
-                    const effectiveness = data.strength * (1 - (distance / 6)); // Decay over distance
-                    
-                    if (effectiveness > bestNegation.strength) {
-                        bestNegation = {
-                            isNegated: true,
-                            type: type,
-                            strength: effectiveness,
-                            negator: word,
-                            distance: distance
-                        };
-                    }
+                if (!data.words.includes(negator.word)) continue;
+                
+                const distance = tokenIndex - i;
+                const effectiveness = data.strength * Math.max(
+                    this.config.negationMinEffect,
+                    1 - (distance / this.config.negationDecayDistance)
+                ); // Decay over distance
+                if (type === 'hard') hardNegations++;
+                
+                if (effectiveness > bestNegation.strength) {
+                    bestNegation = {
+                        isNegated: true,
+                        type: type,
+                        strength: effectiveness,
+                        negator: negator.word,
+                        distance: distance,
+                        scope: language.getNegationScope(tokens, negator.start, maxScope)
+                    };
                 }
             }
+            
+            // Skip the rest of a split contraction ("don ' t")
+            i = negator.start;
         }
         
-        // Check for double negatives
-        if (bestNegation.isNegated) {
-            let doubleNegationCount = 0;
-            for (let i = Math.max(0, tokenIndex - 3); i < tokenIndex; i++) {
-                const word = tokens[i]?.word.toLowerCase();
-                if (negationTypes.hard.words.includes(word)) {
-                    doubleNegationCount++;
-                }
-            }
-            
-            if (doubleNegationCount > 1 && doubleNegationCount % 2 === 0) {
-                // Even number of negatives cancels out
-                bestNegation.isNegated = false;
-                bestNegation.strength = 0;
-                bestNegation.type = "double_negative";
-            }
+        // Even number of hard negatives in the clause cancels out
+        if (bestNegation.isNegated && hardNegations > 1 && hardNegations % 2 === 0) {
+            bestNegation.isNegated = false;
+            bestNegation.strength = 0;
+            bestNegation.type = "double_negative";
         }
         
         return bestNegation;
@@ -254,38 +345,40 @@ class CognitiveEngine {
     // ========== ENHANCED MODIFIER ANALYSIS ==========
     
     analyzeModifiersAdvanced(context, tokenIndex, tokens) {
+        const language = context?.language || this.getLanguage();
         let multiplier = 1.0;
         const modifiers = [];
         const intensifiers = [];
         const diminishers = [];
+        const config = this.config;
         
         // Check preceding context for modifiers
-        for (let i = Math.max(0, tokenIndex - 3); i < tokenIndex; i++) {
+        for (let i = Math.max(0, tokenIndex - config.modifierReach); i < tokenIndex; i++) {
             const word = tokens[i]?.word.toLowerCase();
             const distance = tokenIndex - i;
-            const distanceWeight = Math.max(0.5, 1.0 - (distance * 0.2));
+            const distanceWeight = Math.max(config.modifierMinDistanceWeight, 1.0 - (distance * config.modifierDistanceDecay));
             
             // Check amplifiers
-            if (this.kb.amplifiers?.extreme?.includes(word)) {
-                multiplier += 0.5 * distanceWeight;
+            if (language.amplifiers.extreme?.includes(word)) {
+                multiplier += config.extremeAmplifierBoost * distanceWeight;
                 intensifiers.push({ word, type: 'extreme', distance });
-            } else if (this.kb.amplifiers?.moderate?.includes(word)) {
-                multiplier += 0.3 * distanceWeight;
+            } else if (language.amplifiers.moderate?.includes(word)) {
+                multiplier += config.moderateAmplifierBoost * distanceWeight;
                 intensifiers.push({ word, type: 'moderate', distance });
-            } else if (this.kb.amplifiers?.emotional?.includes(word)) {
-                multiplier += 0.4 * distanceWeight;
+            } else if (language.amplifiers.emotional?.includes(word)) {
+                multiplier += config.emotionalAmplifierBoost * distanceWeight;
                 intensifiers.push({ word, type: 'emotional', distance });
             }
             
             // Check diminishers
-            if (this.kb.diminishers?.uncertainty?.includes(word)) {
-                multiplier -= 0.4 * distanceWeight;
+            if (language.diminishers.uncertainty?.includes(word)) {
+                multiplier -= config.uncertaintyDiminisherCut * distanceWeight;
                 diminishers.push({ word, type: 'uncertainty', distance });
-            } else if (this.kb.diminishers?.qualification?.includes(word)) {
-                multiplier -= 0.3 * distanceWeight;
+            } else if (language.diminishers.qualification?.includes(word)) {
+                multiplier -= config.qualificationDiminisherCut * distanceWeight;
                 diminishers.push({ word, type: 'qualification', distance });
-            } else if (this.kb.diminishers?.minimization?.includes(word)) {
-                multiplier -= 0.2 * distanceWeight;
+            } else if (language.diminishers.minimization?.includes(word)) {
+                multiplier -= config.minimizationDiminisherCut * distanceWeight;
                 diminishers.push({ word, type: 'minimization', distance });
             }
         }
@@ -293,13 +386,13 @@ class CognitiveEngine {
         // Handle conflicting modifiers
         if (intensifiers.length > 0 && diminishers.length > 0) {
             // Reduce effect when conflicting modifiers present
-            const conflictFactor = Math.min(intensifiers.length, diminishers.length) * 0.2;
+            const conflictFactor = Math.min(intensifiers.length, diminishers.length) * config.modifierConflictDamping;
             multiplier *= (1 - conflictFactor);
             modifiers.push({ type: 'conflict', factor: conflictFactor });
         }
         
         // Clamp multiplier
-        multiplier = Math.max(0.1, Math.min(3.0, multiplier));
+        multiplier = Math.max(config.modifierMultiplierMin, Math.min(config.modifierMultiplierMax, multiplier));
         
         return {
             multiplier,
@@ -314,15 +407,14 @@ class CognitiveEngine {
 
     // ========== SENTIMENT ANALYSIS ==========
     
-    analyzeSentiment(text, hits) {
-        const words = text.toLowerCase().split(/\s+/);
+    analyzeSentiment(text, hits, language = this.getLanguage()) {
+        const words = language.words(text);
         let totalSentiment = 0;
         let sentimentWords = 0;
         const wordSentiments = [];
         
         words.forEach((word, index) => {
-            const cleanWord = word.replace(/[.,!?;:]/g, '');
-            const sentiment = this.sentimentLexicon[cleanWord];
+            const sentiment = language.sentiment[word];
             
             if (sentiment !== undefined) {
                 totalSentiment += sentiment;
@@ -343,9 +435,10 @@ class CognitiveEngine {
         
         // Determine overall sentiment
         let overallSentiment = 'neutral';
-        if (averageSentiment > 0.3) overallSentiment = 'positive';
-        else if (averageSentiment < -0.3) overallSentiment = 'negative';
-        else if (Math.abs(averageSentiment) > 0.1) overallSentiment = 'mixed';
+        const { sentimentPolarityCutoff, sentimentMixedCutoff } = this.config;
+        if (averageSentiment > sentimentPolarityCutoff) overallSentiment = 'positive';
+        else if (averageSentiment < -sentimentPolarityCutoff) overallSentiment = 'negative';
+        else if (Math.abs(averageSentiment) > sentimentMixedCutoff) overallSentiment = 'mixed';
         
         // Combine with cognitive markers sentiment
         const markerSentiment = this.calculateMarkerSentiment(hits);
@@ -382,8 +475,8 @@ class CognitiveEngine {
 
     combineSentiments(textSentiment, markerSentiment) {
         // Weight marker sentiment higher as it's more specific
-        const markerWeight = 0.7;
-        const textWeight = 0.3;
+        const markerWeight = this.config.markerSentimentWeight;
+        const textWeight = 1 - markerWeight;
         
         return (markerSentiment * markerWeight) + (textSentiment * textWeight);
     }
@@ -395,7 +488,7 @@ class CognitiveEngine {
         
         const clusters = [];
         let currentCluster = [];
-        const clusterThreshold = 5; // Max distance between markers in a cluster
+        const { clusterDistance, minClusterSize } = this.config;
         
         // Sort hits by position
         const sortedHits = [...hits].sort((a, b) => a.position - b.position);
@@ -407,10 +500,10 @@ class CognitiveEngine {
                 const lastHit = currentCluster[currentCluster.length - 1];
                 const distance = sortedHits[i].position - lastHit.position;
                 
-                if (distance <= clusterThreshold) {
+                if (distance <= clusterDistance) {
                     currentCluster.push(sortedHits[i]);
                 } else {
-                    if (currentCluster.length >= 2) {
+                    if (currentCluster.length >= minClusterSize) {
                         clusters.push([...currentCluster]);
                     }
                     currentCluster = [sortedHits[i]];
@@ -419,7 +512,7 @@ class CognitiveEngine {
         }
         
         // Add final cluster
-        if (currentCluster.length >= 2) {
+        if (currentCluster.length >= minClusterSize) {
             clusters.push(currentCluster);
         }
         
@@ -454,10 +547,10 @@ class CognitiveEngine {
 
     // ========== ENHANCED CONTEXT EXTRACTION ==========
     
-    extractEnhancedContext(tokens, index) {
-        const windowSize = this.contextWindow;
+    extractEnhancedContext(tokens, index, endIndex = index, language = this.getLanguage()) {
+        const windowSize = this.config.contextWindow;
         const start = Math.max(0, index - windowSize);
-        const end = Math.min(tokens.length, index + windowSize + 1);
+        const end = Math.min(tokens.length, endIndex + windowSize + 1);
         
         const contextTokens = tokens.slice(start, end);
         
@@ -471,35 +564,37 @@ class CognitiveEngine {
                 sentenceIndex: tokens[index].sentenceIndex,
                 positionInSentence: tokens[index].sentencePosition,
                 tokens: sentenceTokens.map(t => t.word),
-                fullSentence: sentenceTokens.map(t => t.original).join(' ')
+                fullSentence: sentenceTokens.map(t => t.original).join(' '),
+                start: sentenceTokens[0].start,
+                end: sentenceTokens[sentenceTokens.length - 1].end
             };
         }
         
         // Analyze context sentiment
         const contextText = contextTokens.map(t => t.word).join(' ');
-        const contextSentiment = this.quickSentimentAnalysis(contextText);
+        const contextSentiment = this.quickSentimentAnalysis(contextText, language);
         
         return {
             preceding: tokens.slice(start, index).map(t => t.word),
-            following: tokens.slice(index + 1, end).map(t => t.word),
+            following: tokens.slice(endIndex + 1, end).map(t => t.word),
             fullWindow: contextTokens.map(t => t.word),
             positionInWindow: index - start,
             tokens: contextTokens,
             sentence: sentenceContext,
             sentiment: contextSentiment,
+            language: language,
             hasQuestion: contextTokens.some(t => t.word.includes('?')),
             hasExclamation: contextTokens.some(t => t.word.includes('!'))
         };
     }
 
-    quickSentimentAnalysis(text) {
-        const words = text.toLowerCase().split(/\s+/);
+    quickSentimentAnalysis(text, language = this.getLanguage()) {
+        const words = language.words(text);
         let score = 0;
         let count = 0;
         
         words.forEach(word => {
-            const cleanWord = word.replace(/[.,!?;:]/g, '');
-            const sentiment = this.sentimentLexicon[cleanWord];
+            const sentiment = language.sentiment[word];
             if (sentiment !== undefined) {
                 score += sentiment;
                 count++;
@@ -515,40 +610,28 @@ class CognitiveEngine {
 
     // ========== CACHE SYSTEM ==========
     
+    // Knowledge base, resolved settings and text content together select an entry
     getCacheKey(text, options = {}) {
-        // Create a hash of text and options for caching
-        const textHash = this.simpleHash(text);
-        const optionsHash = this.simpleHash(JSON.stringify(options));
-        return `${textHash}-${optionsHash}`;
-    }
-
-    simpleHash(str) {
-        let hash = 0;
-        for (let i = 0; i < str.length; i++) {
-            const char = str.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash; // Convert to 32-bit integer
-        }
-        return hash.toString(36);
+        const { AnalysisCache } = ENGINE_MODULES;
+        return `${this.kbVersion}-${AnalysisCache.hash(this.getCacheSettings(options))}-${AnalysisCache.hash(text)}`;
     }
 
-    getFromCache(key) {
-        const cached = this.cache.get(key);
-        if (cached) {
-            this.stats.cacheHits++;
-            return cached;
-        }
-        this.stats.cacheMisses++;
-        return null;
+    getCacheSettings(options) {
+        return JSON.stringify({ options, config: this.config });
     }
 
-    setToCache(key, analysis) {
-        // Limit cache size
-        if (this.cache.size > 100) {
-            const firstKey = this.cache.keys().next().value;
-            this.cache.delete(firstKey);
-        }
-        this.cache.set(key, analysis);
+    // Returns a private copy; the stored entry is checked against the exact text so a hash collision is a miss
+    getFromCache(key, text, options = {}) {
+        const settings = this.getCacheSettings(options);
+        const entry = this.cache.get(key, cached => cached.source.text === text && cached.settings === settings);
+        if (!entry) return null;
+        
+        this.incrementalState.set(entry.analysis, entry.source);
+        return entry.analysis;
+    }
+
+    setToCache(key, analysis, source) {
+        this.cache.set(key, { analysis, source, settings: this.getCacheSettings(source.options) });
     }
 
     clearCache() {
@@ -558,53 +641,94 @@ class CognitiveEngine {
 
     // ========== ENHANCED ANALYSIS PIPELINE ==========
     
-    parseTextWithEnhancements(text) {
-        const tokens = this.tokenize(text, { detectSentences: true });
+    parseTextWithEnhancements(text, language = this.getLanguage(), tokens = this.tokenize(text, { detectSentences: true, language }), segments = this.segmentText(text, tokens), positions = null) {
         const hits = [];
+        const quotes = language.findQuotes(tokens);
         
         for (let i = 0; i < tokens.length; i++) {
             const token = tokens[i];
-            if (token.isPunctuation) continue;
+            if (token.isPunctuation || (positions && !positions.has(i))) continue;
             
-            const marker = this.wordLookup.get(token.word);
-            if (!marker) continue;
+            // Longest lexicon phrase starting here wins over the single token
+            const phrase = language.matchPhraseAt(tokens, i);
+            const lookup = phrase ?
+                { key: phrase.key, marker: phrase.marker, matchedBy: 'phrase' } :
+                language.lookupMarker(token.word);
+            if (!lookup) continue;
             
-            const context = this.extractEnhancedContext(tokens, i);
+            const { key, marker } = lookup;
+            
+            const end = phrase ? phrase.end : i;
+            const lastToken = tokens[end];
+            
+            const context = this.extractEnhancedContext(tokens, i, end, language);
             const negationState = this.detectNegationAdvanced(context, i, tokens);
             const modifierEffect = this.analyzeModifiersAdvanced(context, i, tokens);
-            const semanticContext = this.matchSemanticPattern(token.word, context);
+            const semanticContext = this.matchSemanticPattern(key, context, tokens, i, end);
+            const agency = language.detectAgency(tokens, i, end);
+            const requiresAgency = marker.requires_agency ?? this.kb.patterns[marker.category]?.requires_agency ?? false;
+            const agencyFactor = requiresAgency ? this.getAgencyFactor(agency) : 1;
+            const quote = quotes[token.quoteIndex] || null;
+            const speaker = this.getSpeakerRole(quote);
+            const speechFactor = this.getQuotedSpeechFactor(speaker);
             
+            // Quoted speech is weighted by who said it, on top of who the marker is about
             const adjustedWeight = this.calculateAdjustedWeight(
                 marker.weight,
                 negationState,
                 modifierEffect,
-                semanticContext
+                semanticContext,
+                agencyFactor * speechFactor
             );
             
-            if (adjustedWeight > 0.3) {
+            if (adjustedWeight > this.config.hitThreshold) {
+                const originalWord = text.slice(token.start, lastToken.end);
+                
                 const hit = {
-                    word: token.word,
-                    originalWord: token.original,
+                    word: key,
+                    lemma: key,
+                    surfaceForm: originalWord.toLowerCase(),
+                    matchedBy: lookup.matchedBy,
+                    originalWord: originalWord,
                     position: i,
-                    charPosition: token.charPosition,
+                    endPosition: end,
+                    spanLength: end - i + 1,
+                    start: token.start,
+                    end: lastToken.end,
+                    charPosition: token.start,
+                    charLength: lastToken.end - token.start,
                     category: marker.category,
-                    subcategory: marker.subcategory,
+                    subcategory: semanticContext.subcategory ?? null, // null, not undefined, so cached copies keep the key
                     baseWeight: marker.weight,
                     adjustedWeight: adjustedWeight,
+                    unreinforcedWeight: adjustedWeight,
                     isNegated: negationState.isNegated,
                     negationType: negationState.type,
                     negationStrength: negationState.strength,
+                    negator: negationState.negator,
+                    negationScope: negationState.scope,
                     modifierEffect: modifierEffect.multiplier,
                     intensifiers: modifierEffect.intensifiers,
                     diminishers: modifierEffect.diminishers,
                     hasModifierConflict: modifierEffect.hasConflict,
+                    agent: agency,
+                    requiresAgency: requiresAgency,
+                    agencyFactor: agencyFactor,
+                    speaker: speaker,
+                    speakerWord: quote?.speaker?.word || null,
+                    speechFactor: speechFactor,
+                    quoteId: quote ? `quote-${quote.index}` : null,
                     context: {
                         preceding: context.preceding,
                         following: context.following,
                         sentence: context.sentence
                     },
                     semanticContext: semanticContext.contextPattern,
-                    temporalSegment: this.getTemporalSegment(i, tokens.length),
+                    temporalSegment: this.getTemporalSegment(i, segments).id,
+                    sentenceIndex: token.sentenceIndex,
+                    sentenceId: `sentence-${token.sentenceIndex}`,
+                    paragraphIndex: token.paragraphIndex ?? 0,
+                    paragraphId: `paragraph-${token.paragraphIndex ?? 0}`,
                     emotionalValence: marker.emotional_valence || 0,
                     clinicalNote: marker.clinical_note,
                     token: token
@@ -612,16 +736,382 @@ class CognitiveEngine {
                 
                 hits.push(hit);
             }
+            
+            // Tokens inside a matched phrase are not looked up again
+            i = end;
         }
         
         return hits;
     }
 
+    // ========== SENTENCE ANALYSIS ==========
+    
+    analyzeSentences(text, language = this.getLanguage(), tokens = this.tokenize(text, { detectSentences: true, language }), hits = []) {
+        const groups = new Map();
+        tokens.forEach(token => {
+            if (!groups.has(token.sentenceIndex)) groups.set(token.sentenceIndex, []);
+            groups.get(token.sentenceIndex).push(token);
+        });
+        
+        return [...groups.values()].map((sentenceTokens, index) => {
+            const start = sentenceTokens[0].start;
+            const end = sentenceTokens[sentenceTokens.length - 1].end;
+            const sentence = text.slice(start, end);
+            const hitIndexes = hits
+                .map((hit, hitIndex) => hit.token.sentenceIndex === index ? hitIndex : -1)
+                .filter(hitIndex => hitIndex !== -1);
+            const sentenceHits = hitIndexes.map(hitIndex => hits[hitIndex]);
+            
+            // Pattern weight within the sentence decides its dominant pattern
+            const patternWeights = {};
+            sentenceHits.forEach(hit => {
+                patternWeights[hit.category] = (patternWeights[hit.category] || 0) + hit.adjustedWeight;
+            });
+            const dominantPattern = Object.keys(patternWeights)
+                .sort((a, b) => patternWeights[b] - patternWeights[a])[0] || null;
+            
+            const textSentiment = this.quickSentimentAnalysis(sentence, language);
+            const markerSentiment = this.calculateMarkerSentiment(sentenceHits);
+            
+            return {
+                id: `sentence-${index}`,
+                index: index,
+                paragraphId: `paragraph-${sentenceTokens[0].paragraphIndex ?? 0}`,
+                text: sentence,
+                start: start,
+                end: end,
+                hits: hitIndexes,
+                dominantPattern: dominantPattern,
+                patternWeights: patternWeights,
+                sentiment: {
+                    text: textSentiment.score,
+                    markers: markerSentiment,
+                    combined: this.combineSentiments(textSentiment.score, markerSentiment)
+                },
+                negationCount: this.countNegators(tokens, sentenceTokens, language),
+                negatedHitCount: sentenceHits.filter(hit => hit.isNegated).length,
+                adaptiveHitCount: sentenceHits.filter(hit => this.isAdaptivePattern(hit.category)).length,
+                distortionScore: this.calculateSentenceDistortion(sentenceHits, sentenceTokens),
+                clauses: this.splitClauses(text, tokens, sentenceTokens, hits, language),
+                ...this.semanticAnalyzer.analyzeSentence(sentence, index, language)
+            };
+        });
+    }
+
+    // ========== DOCUMENT STRUCTURE ==========
+    
+    analyzeStructure(text, tokens, hits, sentences, language = this.getLanguage()) {
+        const spanOf = group => ({
+            text: text.slice(group[0].start, group[group.length - 1].end),
+            start: group[0].start,
+            end: group[group.length - 1].end
+        });
+        const hitsWhere = test => hits
+            .map((hit, hitIndex) => test(hit) ? hitIndex : -1)
+            .filter(hitIndex => hitIndex !== -1);
+        const groupBy = (key) => {
+            const groups = new Map();
+            tokens.forEach(token => {
+                if (token[key] === undefined || token[key] === null) return;
+                if (!groups.has(token[key])) groups.set(token[key], []);
+                groups.get(token[key]).push(token);
+            });
+            return groups;
+        };
+        
+        const paragraphs = [...groupBy('paragraphIndex').entries()].map(([index, paragraphTokens]) => {
+            const id = `paragraph-${index}`;
+            const hitIndexes = hitsWhere(hit => hit.paragraphId === id);
+            const paragraphSentences = sentences.filter(sentence => sentence.paragraphId === id);
+            const blockTypes = new Set(paragraphTokens.map(token => token.blockType));
+            
+            const patternWeights = {};
+            hitIndexes.forEach(hitIndex => {
+                const hit = hits[hitIndex];
+                patternWeights[hit.category] = (patternWeights[hit.category] || 0) + hit.adjustedWeight;
+            });
+            const mean = values => values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+            
+            return {
+                id: id,
+                index: index,
+                type: blockTypes.has('heading') ? 'heading' : (blockTypes.has('text') ? 'text' : 'list'),
+                ...spanOf(paragraphTokens),
+                sentenceIds: paragraphSentences.map(sentence => sentence.id),
+                listItemCount: new Set(paragraphTokens.map(token => token.listItemIndex).filter(i => i !== null && i !== undefined)).size,
+                hits: hitIndexes,
+                markerCount: hitIndexes.length,
+                quotedHitCount: hitIndexes.filter(hitIndex => hits[hitIndex].quoteId).length,
+                patternWeights: patternWeights,
+                dominantPattern: Object.keys(patternWeights)
+                    .sort((a, b) => patternWeights[b] - patternWeights[a])[0] || null,
+                distortionScore: mean(paragraphSentences.map(sentence => sentence.distortionScore)),
+                sentiment: mean(paragraphSentences.map(sentence => sentence.sentiment.combined))
+            };
+        });
+        
+        const listItems = [...groupBy('listItemIndex').entries()].map(([index, itemTokens]) => {
+            const content = itemTokens.filter(token => !token.isStructureMarker);
+            const first = itemTokens[0].position;
+            const last = itemTokens[itemTokens.length - 1].position;
+            return {
+                id: `list-item-${index}`,
+                index: index,
+                paragraphId: `paragraph-${itemTokens[0].paragraphIndex}`,
+                ...spanOf(content.length > 0 ? content : itemTokens),
+                hits: hitsWhere(hit => hit.position >= first && hit.position <= last)
+            };
+        });
+        
+        const quotes = language.findQuotes(tokens).map(quote => {
+            const id = `quote-${quote.index}`;
+            const quoteTokens = tokens.slice(quote.start, quote.end + 1);
+            const inner = quoteTokens.filter(token => !token.isQuoteMark);
+            return {
+                id: id,
+                index: quote.index,
+                paragraphId: `paragraph-${quoteTokens[0].paragraphIndex ?? 0}`,
+                ...spanOf(inner.length > 0 ? inner : quoteTokens),
+                speaker: this.getSpeakerRole(quote),
+                speakerWord: quote.speaker?.word || null,
+                speakerPerson: quote.speaker?.person || null,
+                hits: hitsWhere(hit => hit.quoteId === id)
+            };
+        });
+        
+        return { paragraphs, listItems, quotes };
+    }
+
+    getSpeakerRole(quote) {
+        if (!quote) return 'writer';
+        if (!quote.speaker) return 'unknown';
+        return quote.speaker.person === 'first' ? 'self' : 'other';
+    }
+
+    getQuotedSpeechFactor(speaker) {
+        if (speaker === 'writer') return 1;
+        return this.config.quotedSpeechWeights[speaker] ?? 1;
+    }
+
+    splitClauses(text, tokens, sentenceTokens, hits, language = this.getLanguage()) {
+        const clauses = [];
+        let current = [];
+        
+        const close = () => {
+            const words = current.filter(token => !token.isPunctuation);
+            if (words.length > 0) {
+                const first = current[0].position;
+                const last = current[current.length - 1].position;
+                clauses.push({
+                    index: clauses.length,
+                    text: text.slice(current[0].start, current[current.length - 1].end),
+                    start: current[0].start,
+                    end: current[current.length - 1].end,
+                    hits: hits
+                        .map((hit, hitIndex) => hit.position >= first && hit.position <= last ? hitIndex : -1)
+                        .filter(hitIndex => hitIndex !== -1)
+                });
+            }
+            current = [];
+        };
+        
+        // Clause boundaries (commas, "but", "because", ...) open a new clause
+        sentenceTokens.forEach(token => {
+            if (language.isClauseBoundary(token)) close();
+            if (!token.isPunctuation || /^['"]+$/.test(token.word)) current.push(token);
+        });
+        close();
+        
+        return clauses;
+    }
+
+    countNegators(tokens, sentenceTokens, language = this.getLanguage()) {
+        const negators = [
+            ...(language.negation.hard_negation || []),
+            ...(language.negation.soft_negation || []),
+            ...(language.negation.conditional_negation || [])
+        ];
+        
+        let count = 0;
+        for (let i = sentenceTokens.length - 1; i >= 0; i--) {
+            const negator = language.readNegatorEndingAt(tokens, sentenceTokens[i].position);
+            if (!negator) continue;
+            if (negators.includes(negator.word)) count++;
+            // Skip the rest of a split contraction ("don ' t")
+            i -= sentenceTokens[i].position - negator.start;
+        }
+        
+        return count;
+    }
+
+    calculateSentenceDistortion(sentenceHits, sentenceTokens) {
+        // Marker weight per word, scaled so one strong marker in a short sentence is ~5;
+        // adaptive (counter-pattern) markers are healthy language and don't count
+        const distortions = sentenceHits.filter(hit => !this.isAdaptivePattern(hit.category));
+        const wordCount = sentenceTokens.filter(token => !token.isPunctuation).length;
+        if (wordCount === 0 || distortions.length === 0) return 0;
+        
+        const weight = distortions.reduce((sum, hit) => sum + hit.adjustedWeight, 0);
+        return Math.min(10, weight * (1 + Math.log10(distortions.length)) / Math.sqrt(wordCount) * 2.5);
+    }
+
+    // ========== TIME ORIENTATION ==========
+    
+    analyzeTimeOrientation(tokens, hits, language = this.getLanguage(), segments = this.segmentText('', tokens)) {
+        const markers = language.findTemporalMarkers(tokens);
+        const orientations = Object.keys(language.temporalMarkers).map(type => type.replace(/_focus$/, ''));
+        
+        const profile = group => {
+            const counts = Object.fromEntries(orientations.map(o => [o, 0]));
+            group.forEach(marker => counts[marker.orientation]++);
+            
+            const max = Math.max(0, ...Object.values(counts));
+            const leaders = orientations.filter(o => counts[o] === max);
+            
+            return {
+                counts: counts,
+                shares: Object.fromEntries(orientations.map(o => [o, group.length > 0 ? counts[o] / group.length : 0])),
+                total: group.length,
+                dominant: max === 0 ? 'none' : (leaders.length === 1 ? leaders[0] : 'mixed')
+            };
+        };
+        
+        const sentenceCount = tokens.length > 0 ? tokens[tokens.length - 1].sentenceIndex + 1 : 0;
+        const bySentence = Array.from({ length: sentenceCount }, (_, index) => ({
+            index: index,
+            ...profile(markers.filter(m => m.sentenceIndex === index))
+        }));
+        
+        const bySegment = {};
+        segments.forEach(segment => {
+            bySegment[segment.id] = profile(markers.filter(m => this.getTemporalSegment(m.position, segments) === segment));
+        });
+        
+        // Patterns anchored in a sentence whose time references lean the linked way
+        const links = (this.kb.temporal_pattern_links || []).map(link => {
+            const orientation = link.focus.replace(/_focus$/, '');
+            const patternHits = hits.filter(hit => hit.category === link.pattern);
+            const sentences = bySentence
+                .filter(s => s.counts[orientation] > 0 && s.counts[orientation] === Math.max(...Object.values(s.counts)))
+                .filter(s => patternHits.some(hit => hit.token.sentenceIndex === s.index))
+                .map(s => s.index);
+            if (sentences.length === 0) return null;
+            
+            return {
+                label: link.label,
+                pattern: link.pattern,
+                orientation: orientation,
+                sentences: sentences,
+                weight: patternHits
+                    .filter(hit => sentences.includes(hit.token.sentenceIndex))
+                    .reduce((sum, hit) => sum + hit.adjustedWeight, 0),
+                interpretation: link.interpretation,
+                ...this.getTemporalGuidance(orientation, language)
+            };
+        }).filter(Boolean).sort((a, b) => b.weight - a.weight);
+        
+        const overall = profile(markers);
+        
+        return {
+            overall: overall,
+            guidance: orientations.includes(overall.dominant) ? this.getTemporalGuidance(overall.dominant, language) : null,
+            bySentence: bySentence,
+            bySegment: bySegment,
+            links: links
+        };
+    }
+
+    getTemporalGuidance(orientation, language = this.getLanguage()) {
+        const type = `${orientation}_focus`;
+        const info = language.temporalMarkers[type]?.psychological_implication ?
+            language.temporalMarkers[type] :
+            this.kb.temporal_markers?.[type] || {};
+        
+        return {
+            psychologicalImplication: info.psychological_implication || null,
+            therapeuticApproach: info.therapeutic_approach || null
+        };
+    }
+
+    // ========== REINFORCEMENT ==========
+    
+    applyReinforcement(hits, language = this.getLanguage()) {
+        const boost = this.config.reinforcementBoost;
+        const maxMultiplier = this.config.reinforcementMaxMultiplier;
+        
+        const clusterOf = new Map();
+        this.detectPatternClusters(hits).forEach(cluster => {
+            cluster.markers.forEach(hit => clusterOf.set(hit, cluster.id));
+        });
+        
+        const reinforces = (a, b) => (language.lexicon[a.word]?.reinforces || []).includes(b.word);
+        const together = (a, b) => a.token.sentenceIndex === b.token.sentenceIndex ||
+            (clusterOf.has(a) && clusterOf.get(a) === clusterOf.get(b));
+        
+        // Negated markers neither give nor take reinforcement
+        const active = hits.filter(hit => !hit.isNegated);
+        const links = new Map(hits.map(hit => [hit, new Set()]));
+        
+        for (let i = 0; i < active.length; i++) {
+            for (let j = i + 1; j < active.length; j++) {
+                const a = active[i];
+                const b = active[j];
+                if (a.word === b.word || !together(a, b)) continue;
+                
+                if (reinforces(a, b) || reinforces(b, a)) {
+                    links.get(a).add(b);
+                    links.get(b).add(a);
+                }
+            }
+        }
+        
+        links.forEach((partners, hit) => {
+            hit.reinforcedBy = [...partners].map(partner => ({ word: partner.word, position: partner.position }));
+            hit.reinforcementMultiplier = Math.min(maxMultiplier, 1 + boost * partners.size);
+            hit.adjustedWeight *= hit.reinforcementMultiplier;
+        });
+        
+        // Connected groups of reinforcing markers form chains
+        const chains = [];
+        const seen = new Set();
+        active.forEach(hit => {
+            if (seen.has(hit) || links.get(hit).size === 0) return;
+            
+            const members = [];
+            const queue = [hit];
+            seen.add(hit);
+            while (queue.length > 0) {
+                const current = queue.shift();
+                members.push(current);
+                links.get(current).forEach(partner => {
+                    if (!seen.has(partner)) {
+                        seen.add(partner);
+                        queue.push(partner);
+                    }
+                });
+            }
+            members.sort((a, b) => a.position - b.position);
+            
+            chains.push({
+                id: `chain-${chains.length}`,
+                words: members.map(m => m.word),
+                positions: members.map(m => m.position),
+                categories: [...new Set(members.map(m => m.category))],
+                sentenceIds: [...new Set(members.map(m => m.sentenceId))],
+                combinedWeight: members.reduce((sum, m) => sum + m.adjustedWeight, 0),
+                start: members[0].start,
+                end: members[members.length - 1].end
+            });
+        });
+        
+        return chains.sort((a, b) => b.combinedWeight - a.combinedWeight);
+    }
+
     // ========== ENHANCED PATTERN AGGREGATION ==========
     
-    aggregatePatternsWithClusters(hits) {
+    aggregatePatternsWithClusters(hits, segments = []) {
         const patternScores = {};
-        const temporalDistribution = { early: {}, middle: {}, late: {} };
+        const temporalDistribution = Object.fromEntries(segments.map(segment => [segment.id, {}]));
         const subpatternDistribution = {};
         const clusters = this.detectPatternClusters(hits);
         
@@ -638,7 +1128,7 @@ class CognitiveEngine {
                     subpatterns: {},
                     emotionalValence: [],
                     confidence: 0,
-                    temporalDistribution: { early: 0, middle: 0, late: 0 },
+                    temporalDistribution: Object.fromEntries(segments.map(segment => [segment.id, 0])),
                     markers: [],
                     clusters: []
                 };
@@ -647,15 +1137,17 @@ class CognitiveEngine {
             // Update main scores
             patternScores[category].score += hit.adjustedWeight;
             patternScores[category].count += 1;
-            patternScores[category].weightedScore += hit.adjustedWeight * (hit.isNegated ? 0.5 : 1.0);
+            patternScores[category].weightedScore += hit.adjustedWeight * (hit.isNegated ? this.config.negatedPatternFactor : 1.0);
             patternScores[category].positions.push(hit.position);
             patternScores[category].emotionalValence.push(hit.emotionalValence);
-            patternScores[category].temporalDistribution[hit.temporalSegment] += hit.adjustedWeight;
+            patternScores[category].temporalDistribution[hit.temporalSegment] =
+                (patternScores[category].temporalDistribution[hit.temporalSegment] || 0) + hit.adjustedWeight;
             patternScores[category].markers.push({
                 word: hit.word,
                 weight: hit.adjustedWeight,
                 negated: hit.isNegated,
-                position: hit.position
+                position: hit.position,
+                context: hit.semanticContext
             });
             
             // Track subpatterns
@@ -671,6 +1163,7 @@ class CognitiveEngine {
             }
             
             // Update temporal distribution
+            temporalDistribution[hit.temporalSegment] = temporalDistribution[hit.temporalSegment] || {};
             if (!temporalDistribution[hit.temporalSegment][category]) {
                 temporalDistribution[hit.temporalSegment][category] = 0;
             }
@@ -689,7 +1182,7 @@ class CognitiveEngine {
         
         // Add cluster information
         clusters.forEach(cluster => {
-            cluster.patterns.counts.forEach((count, pattern) => {
+            Object.keys(cluster.patterns.counts).forEach(pattern => {
                 if (patternScores[pattern]) {
                     if (!patternScores[pattern].clusters) {
                         patternScores[pattern].clusters = [];
@@ -714,18 +1207,19 @@ class CognitiveEngine {
                 : 0;
             
             // Enhanced confidence calculation
-            const countFactor = Math.min(data.count / 5, 1);
-            const weightFactor = data.weightedScore / (data.count * 5);
+            const countFactor = Math.min(data.count / this.config.confidenceFullCount, 1);
+            const weightFactor = data.weightedScore / (data.count * this.config.confidenceFullWeight);
             const distributionFactor = this.calculateEnhancedDistributionScore(data.positions, hits.length);
-            const clusterFactor = data.clusters ? Math.min(data.clusters.length / 3, 1) : 0;
+            const clusterFactor = data.clusters ? Math.min(data.clusters.length / this.config.fullClusterCount, 1) : 0;
             const negationFactor = 1 - (data.markers.filter(m => m.negated).length / data.markers.length * 0.5);
             
+            const weights = this.config.confidenceWeights;
             data.confidence = (
-                countFactor * 0.25 +
-                weightFactor * 0.25 +
-                distributionFactor * 0.2 +
-                clusterFactor * 0.2 +
-                negationFactor * 0.1
+                countFactor * weights.count +
+                weightFactor * weights.weight +
+                distributionFactor * weights.distribution +
+                clusterFactor * weights.cluster +
+                negationFactor * weights.negation
             );
             
             // Apply pattern-specific multipliers
@@ -735,6 +1229,7 @@ class CognitiveEngine {
                 data.severity = data.weightedScore >= (pattern.severity_threshold || 2);
                 data.patternInfo = pattern;
             }
+            data.adaptive = this.isAdaptivePattern(category);
             
             // Calculate intensity
             data.intensity = this.calculatePatternIntensity(data);
@@ -749,7 +1244,7 @@ class CognitiveEngine {
     }
 
     calculateEnhancedDistributionScore(positions, totalLength) {
-        if (positions.length < 2) return 0.5;
+        if (positions.length < 2) return this.config.distributionSingleScore;
         
         // Calculate weighted distribution considering clusters
         const gaps = [];
@@ -762,21 +1257,21 @@ class CognitiveEngine {
         
         // Score based on distribution pattern
         const variance = gaps.reduce((sum, gap) => sum + Math.pow(gap - avgGap, 2), 0) / gaps.length;
-        const clusteringScore = variance < (idealGap * 0.5) ? 0.3 : 0.7; // Lower for clustered, higher for spread
-        
-        return Math.max(0.1, clusteringScore);
+        const scores = this.config.distributionScores;
+        return variance < (idealGap * this.config.distributionClusterVariance) ? scores.clustered : scores.spread;
     }
 
     calculatePatternIntensity(patternData) {
-        const weightIntensity = Math.min(1, patternData.weightedScore / 20);
-        const countIntensity = Math.min(1, patternData.count / 10);
+        const weightIntensity = Math.min(1, patternData.weightedScore / this.config.intensityFullWeight);
+        const countIntensity = Math.min(1, patternData.count / this.config.intensityFullCount);
         const valenceIntensity = Math.abs(patternData.avgValence);
-        const clusterIntensity = patternData.clusters ? Math.min(1, patternData.clusters.length / 3) : 0;
+        const clusterIntensity = patternData.clusters ? Math.min(1, patternData.clusters.length / this.config.fullClusterCount) : 0;
         
-        return (weightIntensity * 0.4 + 
-                countIntensity * 0.3 + 
-                valenceIntensity * 0.2 + 
-                clusterIntensity * 0.1);
+        const weights = this.config.intensityWeights;
+        return (weightIntensity * weights.weight + 
+                countIntensity * weights.count + 
+                valenceIntensity * weights.valence + 
+                clusterIntensity * weights.cluster);
     }
 
     // ========== ENHANCED DRIVER INFERENCE ==========
@@ -839,13 +1334,14 @@ class CognitiveEngine {
         // Calculate normalized scores and intensity
         Object.keys(driverScores).forEach(driver => {
             const data = driverScores[driver];
-            data.normalizedScore = Math.min(10, data.weightedScore / 5);
-            data.primary = data.normalizedScore >= 5;
+            data.normalizedScore = Math.min(10, data.weightedScore / this.config.driverScoreScale);
+            data.primary = data.normalizedScore >= this.config.driverPrimaryCutoff;
             
             // Calculate driver intensity
-            const contributionIntensity = Math.min(1, data.weightedScore / 30);
+            const contributionIntensity = Math.min(1, data.weightedScore / this.config.driverIntensityFullWeight);
             const patternIntensity = data.contributingPatterns.reduce((sum, p) => sum + p.intensity, 0) / data.contributingPatterns.length;
-            data.intensity = (contributionIntensity * 0.6 + patternIntensity * 0.4);
+            const weights = this.config.driverIntensityWeights;
+            data.intensity = (contributionIntensity * weights.contribution + patternIntensity * weights.patterns);
             
             // Get driver info from knowledge base
             const driverInfo = this.kb.drivers[driver];
@@ -869,152 +1365,175 @@ class CognitiveEngine {
 
     // ========== ENHANCED CONFLICT DETECTION ==========
     
-    detectEnhancedConflicts(driverScores, patternScores, hits) {
-        const conflicts = [];
-        
-        // 1. Driver-level conflicts
-        const drivers = Object.keys(driverScores);
-        for (let i = 0; i < drivers.length; i++) {
-            for (let j = i + 1; j < drivers.length; j++) {
-                const d1 = drivers[i];
-                const d2 = drivers[j];
-                
-                const d1Info = this.kb.drivers[d1];
-                const d2Info = this.kb.drivers[d2];
-                
-                if (d1Info && d2Info && d1Info.conflicts_with && d1Info.conflicts_with.includes(d2)) {
-                    const d1Score = driverScores[d1].normalizedScore;
-                    const d2Score = driverScores[d2].normalizedScore;
-                    
-                    if (d1Score > 3 && d2Score > 3) {
-                        const severity = (d1Score + d2Score) / 20; // 0-1 scale
-                        
-                        conflicts.push({
-                            type: "driver_conflict",
-                            drivers: [d1, d2],
-                            driverNames: [d1Info.name, d2Info.name],
-                            scores: [d1Score, d2Score],
-                            severity: severity,
-                            intensity: Math.min(d1Score, d2Score) / 10,
-                            interpretation: `Strong tension between need for ${d1Info.name} (score: ${d1Score.toFixed(1)}) and ${d2Info.name} (score: ${d2Score.toFixed(1)}). This may cause internal conflict or decision paralysis.`,
-                            recommendation: "Explore integration through dialectical thinking or mindfulness practices."
-                        });
-                    }
-                }
+    // Every detector in the conflict registry (conflict.js), on this call's profile config
+    detectEnhancedConflicts(driverScores, patternScores, hits, language = this.getLanguage(), temporalShift = null, tokens = []) {
+        return this.conflictResolver.detectConflicts({
+            hits: hits,
+            patterns: patternScores,
+            drivers: driverScores,
+            temporalShift: temporalShift,
+            lexicon: language.lexicon,
+            tokens: tokens,
+            certainty: {
+                hedges: language.certainty.hedges,
+                boosters: [...new Set([...language.certainty.boosters, ...(language.amplifiers.extreme || [])])]
             }
+        }, this.config);
+    }
+
+    // ========== MAIN ANALYSIS FUNCTION ==========
+    
+    analyze(text, options = {}) {
+        return this.withOptions(options, () => this.runAnalysis(text, options));
+    }
+
+    // analyze() backed by the persistent cache, so repeated analyses survive restarts and are shared
+    async analyzeAsync(text, options = {}) {
+        if (!this.cacheBackend || options.cache === false) {
+            return this.analyze(text, options);
         }
         
-        // 2. Pattern-level conflicts from lexicon
-        hits.forEach((hit, i) => {
-            const marker = this.kb.lexicon[hit.word];
-            if (!marker || !marker.contradicts) return;
-            
-            for (let j = i + 1; j < Math.min(i + 10, hits.length); j++) {
-                const otherHit = hits[j];
-                if (marker.contradicts.includes(otherHit.word)) {
-                    const distance = otherHit.position - hit.position;
-                    const distanceFactor = Math.max(0, 1 - (distance / 20));
-                    
-                    conflicts.push({
-                        type: "lexical_contradiction",
-                        words: [hit.word, otherHit.word],
-                        categories: [hit.category, otherHit.category],
-                        positions: [hit.position, otherHit.position],
-                        distance: distance,
-                        distanceFactor: distanceFactor,
-                        severity: (hit.adjustedWeight + otherHit.adjustedWeight) * distanceFactor * 0.3,
-                        interpretation: `Contradictory language: "${hit.originalWord}" (${hit.category}) vs "${otherHit.originalWord}" (${otherHit.category})`,
-                        recommendation: "This may indicate mixed feelings or uncertainty about the topic."
-                    });
-                }
-            }
+        const { key, settings, local } = this.withOptions(options, () => {
+            const cacheKey = this.getCacheKey(text, options);
+            return { key: cacheKey, settings: this.getCacheSettings(options), local: this.cache.has(cacheKey) };
         });
+        if (local) {
+            return this.analyze(text, options);
+        }
         
-        // 3. Self-negation conflicts
-        hits.forEach(hit => {
-            if (hit.isNegated && hit.adjustedWeight > 2) {
-                conflicts.push({
-                    type: "self_negation",
-                    word: hit.word,
-                    category: hit.category,
-                    position: hit.position,
-                    weight: hit.adjustedWeight,
-                    severity: hit.adjustedWeight * 0.2,
-                    interpretation: "Strong negation of significant cognitive marker. May indicate defensive response or underlying belief.",
-                    recommendation: "Explore what emotions arise when considering the non-negated version."
-                });
-            }
-        });
+        let stored = null;
+        try {
+            stored = await this.cacheBackend.get(key);
+        } catch (error) {
+            this.recordBackendError('get', error);
+        }
+        if (stored && stored.text === text && stored.settings === settings) {
+            this.stats.backendHits++;
+            this.stats.analyses++;
+            this.stats.totalMarkers += stored.analysis.hits.length;
+            this.stats.totalWords += stored.analysis.metadata.wordCount;
+            return this.withOptions(options, () => {
+                const language = this.getLanguage(options.language);
+                const source = { text, tokens: this.tokenize(text, { detectSentences: true, language }), options };
+                this.setToCache(key, stored.analysis, source);
+                this.incrementalState.set(stored.analysis, source);
+                return stored.analysis;
+            });
+        }
         
-        // 4. Modifier conflicts
-        hits.forEach(hit => {
-            if (hit.hasModifierConflict) {
-                conflicts.push({
-                    type: "modifier_conflict",
-                    word: hit.word,
-                    category: hit.category,
-                    severity: hit.adjustedWeight * 0.15,
-                    interpretation: "Conflicting intensity modifiers suggest uncertainty about emotional expression.",
-                    recommendation: "Notice when language both amplifies and diminishes intensity."
-                });
-            }
-        });
+        this.stats.backendMisses++;
+        const analysis = this.analyze(text, options);
+        try {
+            await this.cacheBackend.set(key, { text, settings, analysis });
+        } catch (error) {
+            this.recordBackendError('set', error);
+        }
+        return analysis;
+    }
+
+    // The backend is only a cache: an unreachable or failing store is counted and skipped, never fatal
+    recordBackendError(operation, error) {
+        this.stats.backendErrors++;
+        console.log(`⚠️ Cache backend ${operation} failed, analyzing without it: ${error.message}`);
+    }
+
+    withOptions(options, run) {
+        // Per-call profile and settings apply for this analysis only
+        if (!options.profile && !options.config) {
+            return run();
+        }
         
-        return conflicts.sort((a, b) => b.severity - a.severity);
+        const engineConfig = this.config;
+        this.config = this.resolveConfig(
+            options.profile || this.defaultProfile,
+            { ...this.configOverrides, ...options.config }
+        );
+        try {
+            return run();
+        } finally {
+            this.config = engineConfig;
+        }
     }
 
-    // ========== MAIN ANALYSIS FUNCTION ==========
-    
-    analyze(text, options = {}) {
+    runAnalysis(text, options = {}) {
         const startTime = Date.now();
+        const language = this.getLanguage(options.language);
         const cacheKey = options.cache !== false ? this.getCacheKey(text, options) : null;
         
         // Check cache
         if (cacheKey) {
-            const cached = this.getFromCache(cacheKey);
+            const cached = this.getFromCache(cacheKey, text, options);
             if (cached) {
-                console.log(`⚡ Using cached analysis (${this.stats.cacheHits} hits)`);
+                console.log(`⚡ Using cached analysis (${this.cache.stats.hits} hits)`);
+                this.reportProgress('complete', 1);
                 return cached;
             }
         }
         
         console.log(`🔍 Starting analysis of ${text.length} characters...`);
         
+        // Tokens and temporal segments shared by every stage
+        this.reportProgress('tokenizing', 0.05);
+        const tokens = this.tokenize(text, { detectSentences: true, language });
+        const segments = this.segmentText(text, tokens);
+        
         // Enhanced parsing
-        const hits = this.parseTextWithEnhancements(text);
+        this.reportProgress('markers', 0.15);
+        const hits = this.parseTextWithEnhancements(text, language, tokens, segments);
         console.log(`📊 Found ${hits.length} cognitive markers`);
         
+        return this.completeAnalysis(text, language, tokens, segments, hits, options, cacheKey, startTime);
+    }
+
+    // Every stage after marker parsing; shared by analyze() and update()
+    completeAnalysis(text, language, tokens, segments, hits, options, cacheKey, startTime) {
+        // Co-occurring markers that reinforce each other
+        this.reportProgress('patterns', 0.5);
+        const reinforcementChains = this.applyReinforcement(hits, language);
+        
         // Enhanced pattern aggregation
         const { patternScores, temporalDistribution, subpatternDistribution, clusters } = 
-            this.aggregatePatternsWithClusters(hits);
+            this.aggregatePatternsWithClusters(hits, segments);
         console.log(`🎯 Patterns detected: ${Object.keys(patternScores).length}`);
         
         // Enhanced driver inference
+        this.reportProgress('drivers', 0.6);
         const driverScores = this.inferDriversWithConfidence(patternScores);
         console.log(`🚀 Drivers inferred: ${Object.keys(driverScores).length}`);
         
-        // Enhanced conflict detection
-        const conflicts = this.detectEnhancedConflicts(driverScores, patternScores, hits);
-        console.log(`⚡ Conflicts detected: ${conflicts.length}`);
-        
         // Temporal analysis
-        const temporalShift = this.analyzeTemporalShift(temporalDistribution);
+        this.reportProgress('temporal', 0.7);
+        const temporalShift = this.analyzeTemporalShift(temporalDistribution, segments);
+        
+        // Enhanced conflict detection (temporal conflicts need the shift)
+        const conflicts = this.detectEnhancedConflicts(driverScores, patternScores, hits, language, temporalShift, tokens);
+        console.log(`⚡ Conflicts detected: ${conflicts.length}`);
         
         // Sentiment analysis
         const sentiment = this.enableAdvancedFeatures ? 
-            this.analyzeSentiment(text, hits) : 
+            this.analyzeSentiment(text, hits, language) : 
             { average: 0, overall: 'neutral', intensity: 0 };
         
+        // Per-sentence semantic context and time orientation
+        this.reportProgress('sentences', 0.8);
+        const sentences = this.analyzeSentences(text, language, tokens, hits);
+        const timeOrientation = this.analyzeTimeOrientation(tokens, hits, language, segments);
+        const structure = this.analyzeStructure(text, tokens, hits, sentences, language);
+        
         // Coherence calculation
         const coherenceScore = this.calculateEnhancedCoherence(hits, conflicts, clusters);
         
         // Generate insights
+        this.reportProgress('insights', 0.9);
         const insights = this.generateEnhancedInsights(
             patternScores, 
             driverScores, 
             conflicts, 
             temporalShift,
-            sentiment
+            sentiment,
+            reinforcementChains,
+            timeOrientation,
+            sentences
         );
         
         const processingTime = Date.now() - startTime;
@@ -1026,6 +1545,9 @@ class CognitiveEngine {
             conflicts: conflicts,
             temporalShift: temporalShift,
             sentiment: sentiment,
+            sentences: sentences,
+            structure: structure,
+            timeOrientation: timeOrientation,
             clusters: clusters,
             coherence: coherenceScore,
             insights: insights,
@@ -1037,6 +1559,9 @@ class CognitiveEngine {
                 processingTime: processingTime,
                 analysisTimestamp: new Date().toISOString(),
                 engineVersion: "3.2",
+                language: language.code,
+                profile: this.config.profile,
+                config: { ...this.config },
                 cacheKey: cacheKey,
                 options: options
             }
@@ -1048,23 +1573,328 @@ class CognitiveEngine {
         this.stats.totalWords += analysis.metadata.wordCount;
         
         // Cache the analysis
+        const source = { text, tokens, options };
         if (cacheKey) {
-            this.setToCache(cacheKey, analysis);
+            this.setToCache(cacheKey, analysis, source);
         }
+        this.incrementalState.set(analysis, source);
         
         console.log(`✅ Analysis completed in ${processingTime}ms`);
+        this.reportProgress('complete', 1);
         
         return analysis;
     }
 
+    reportProgress(stage, progress) {
+        if (this.onProgress) this.onProgress(stage, progress);
+    }
+
+    // ========== INCREMENTAL UPDATE ==========
+    
+    update(previousAnalysis, edit) {
+        const state = this.incrementalState.get(previousAnalysis);
+        if (!state) {
+            throw new Error('update() needs an analysis returned by this engine');
+        }
+        
+        const { start, end, text: inserted } = edit || {};
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || start > end ||
+            end > state.text.length || typeof inserted !== 'string') {
+            throw new Error('Edit must replace a range of the previous text: { start, end, text }');
+        }
+        
+        return this.withOptions(state.options, () => this.runUpdate(previousAnalysis, state, { start, end, text: inserted }));
+    }
+
+    runUpdate(previousAnalysis, state, edit) {
+        const startTime = Date.now();
+        const options = state.options;
+        const language = this.getLanguage(options.language);
+        const oldTokens = state.tokens;
+        const text = state.text.slice(0, edit.start) + edit.text + state.text.slice(edit.end);
+        const cacheKey = options.cache !== false ? this.getCacheKey(text, options) : null;
+        if (cacheKey) {
+            const cached = this.getFromCache(cacheKey, text, options);
+            if (cached) return cached;
+        }
+        const charShift = edit.text.length - (edit.end - edit.start);
+        
+        // Whole sentences touching the edit (one character of slack catches words joined at its edges)
+        const touched = oldTokens.filter(token => token.start <= edit.end + 1 && token.end >= edit.start - 1);
+        const touchedSentences = new Set(touched.map(token => token.sentenceIndex));
+        let first = oldTokens.findIndex(token => touchedSentences.has(token.sentenceIndex));
+        let last = oldTokens.length - 1 - [...oldTokens].reverse().findIndex(token => touchedSentences.has(token.sentenceIndex));
+        if (touched.length === 0) {
+            first = oldTokens.filter(token => token.end <= edit.start).length;
+            last = first - 1;
+        }
+        const spanStart = Math.min(edit.start, oldTokens[first]?.start ?? edit.start);
+        const spanEnd = Math.max(edit.end, oldTokens[last]?.end ?? edit.end);
+        
+        // Re-tokenize the span only; tokens either side keep their text and shift
+        const baseToken = (token, positionShift, offset) => ({
+            word: token.word,
+            original: token.original,
+            position: token.position + positionShift,
+            start: token.start + offset,
+            end: token.end + offset,
+            charPosition: token.charPosition + offset,
+            isPunctuation: token.isPunctuation
+        });
+        const middle = language.tokenize(text.slice(spanStart, spanEnd + charShift))
+            .map(token => baseToken(token, first, spanStart));
+        const tokenShift = middle.length - (last - first + 1);
+        const tokens = [
+            ...oldTokens.slice(0, first).map(token => baseToken(token, 0, 0)),
+            ...middle,
+            ...oldTokens.slice(last + 1).map(token => baseToken(token, tokenShift, charShift))
+        ];
+        language.markStructure(tokens, text);
+        this.addSentenceBoundaries(tokens, language);
+        const segments = this.segmentText(text, tokens);
+        
+        // Tokens whose inputs may have changed are parsed again; every other hit is carried over
+        const middleEnd = first + middle.length;
+        const oldPosition = position => position < first ? position : position - tokenShift;
+        const reach = Math.max(this.config.contextWindow, this.config.modifierReach) + 1;
+        const nearEdit = (from, to) => from - reach <= middleEnd && to + reach >= first - 1;
+        
+        const oldQuotes = language.findQuotes(oldTokens);
+        const newQuotes = language.findQuotes(tokens);
+        const quoteState = (token, quotes) => {
+            if (token.quoteIndex === undefined) return null;
+            const quote = quotes[token.quoteIndex];
+            return `${this.getSpeakerRole(quote)}:${quote.speaker?.word || ''}`;
+        };
+        
+        const sentenceGroups = new Map();
+        tokens.forEach(token => {
+            if (!sentenceGroups.has(token.sentenceIndex)) sentenceGroups.set(token.sentenceIndex, []);
+            sentenceGroups.get(token.sentenceIndex).push(token);
+        });
+        const reparse = new Set();
+        sentenceGroups.forEach(sentenceTokens => {
+            const firstToken = sentenceTokens[0];
+            const lastToken = sentenceTokens[sentenceTokens.length - 1];
+            const outside = lastToken.position < first || firstToken.position >= middleEnd;
+            const oldFirst = oldTokens[oldPosition(firstToken.position)];
+            const oldLast = oldTokens[oldPosition(lastToken.position)];
+            const unchanged = outside && oldFirst && oldLast &&
+                oldFirst.sentenceIndex === oldLast.sentenceIndex &&
+                oldFirst.sentencePosition === 0 &&
+                oldTokens[oldLast.position + 1]?.sentenceIndex !== oldLast.sentenceIndex &&
+                sentenceTokens.every(token => quoteState(token, newQuotes) === quoteState(oldTokens[oldPosition(token.position)], oldQuotes));
+            
+            sentenceTokens.forEach(token => {
+                if (!unchanged || nearEdit(token.position, token.position)) reparse.add(token.position);
+            });
+        });
+        
+        const oldHits = new Map(previousAnalysis.hits.map(hit => [hit.position, hit]));
+        const carried = [];
+        tokens.forEach(token => {
+            if (reparse.has(token.position)) return;
+            const hit = oldHits.get(oldPosition(token.position));
+            if (!hit) return;
+            
+            const positionShift = token.position - hit.position;
+            if (nearEdit(token.position, hit.endPosition + positionShift)) {
+                reparse.add(token.position);
+                return;
+            }
+            carried.push(this.relocateHit(hit, token, positionShift, token.start - hit.start, segments));
+        });
+        
+        const hits = [
+            ...carried,
+            ...this.parseTextWithEnhancements(text, language, tokens, segments, reparse)
+        ].sort((a, b) => a.position - b.position);
+        console.log(`🔁 Incremental update: reparsed ${reparse.size} of ${tokens.length} tokens, kept ${carried.length} markers`);
+        
+        return this.completeAnalysis(text, language, tokens, segments, hits, options, cacheKey, startTime);
+    }
+
+    relocateHit(hit, token, positionShift, charShift, segments) {
+        const sentence = hit.context.sentence;
+        return {
+            ...hit,
+            position: token.position,
+            endPosition: hit.endPosition + positionShift,
+            start: hit.start + charShift,
+            end: hit.end + charShift,
+            charPosition: hit.charPosition + charShift,
+            adjustedWeight: hit.unreinforcedWeight,
+            negationScope: hit.negationScope && {
+                start: hit.negationScope.start + positionShift,
+                end: hit.negationScope.end + positionShift,
+                charStart: hit.negationScope.charStart + charShift,
+                charEnd: hit.negationScope.charEnd + charShift
+            },
+            agent: hit.agent.position === null ? hit.agent : { ...hit.agent, position: hit.agent.position + positionShift },
+            context: {
+                ...hit.context,
+                sentence: sentence && {
+                    ...sentence,
+                    sentenceIndex: token.sentenceIndex,
+                    start: sentence.start + charShift,
+                    end: sentence.end + charShift
+                }
+            },
+            quoteId: token.quoteIndex !== undefined ? `quote-${token.quoteIndex}` : null,
+            temporalSegment: this.getTemporalSegment(token.position, segments).id,
+            sentenceIndex: token.sentenceIndex,
+            sentenceId: `sentence-${token.sentenceIndex}`,
+            paragraphIndex: token.paragraphIndex ?? 0,
+            paragraphId: `paragraph-${token.paragraphIndex ?? 0}`,
+            token: token
+        };
+    }
+
+    // ========== CONVERSATION ANALYSIS ==========
+    
+    parseTranscript(text) {
+        if (typeof text !== 'string') {
+            throw new Error('Transcript must be a string');
+        }
+        
+        const turns = [];
+        text.split(/\r?\n/).forEach(line => {
+            const last = turns[turns.length - 1];
+            if (!line.trim()) {
+                // Blank lines inside a turn keep its paragraphs apart
+                if (last) last.text += '\n';
+                return;
+            }
+            
+            const match = TRANSCRIPT_LINE_PATTERNS
+                .map(({ pattern }) => line.match(pattern))
+                .find(found => found && found.groups.speaker.trim());
+            if (match) {
+                const { timestamp, speaker, text: message } = match.groups;
+                turns.push({ speaker: speaker.trim(), text: message.trim(), ...(timestamp && { timestamp }) });
+            } else if (last) {
+                // Unlabelled lines continue the previous turn; text before the first label has no speaker
+                last.text += (last.text ? '\n' : '') + line.trim();
+            }
+        });
+        
+        return turns.map(turn => ({ ...turn, text: turn.text.trim() }));
+    }
+
+    analyzeConversation(turns, options = {}) {
+        const startTime = Date.now();
+        if (typeof turns === 'string') turns = this.parseTranscript(turns);
+        if (!Array.isArray(turns)) {
+            throw new Error('Conversation must be an array of turns or a transcript string');
+        }
+        turns.forEach((turn, index) => {
+            if (!turn || typeof turn.speaker !== 'string' || !turn.speaker.trim() || typeof turn.text !== 'string') {
+                throw new Error(`Conversation turn ${index} must have a speaker and text`);
+            }
+        });
+        
+        const scoresOf = (entries, field) => Object.fromEntries(
+            Object.entries(entries).map(([name, data]) => [name, data[field]])
+        );
+        
+        const analyzedTurns = turns.map((turn, index) => {
+            const analysis = this.analyze(turn.text, options);
+            const patterns = scoresOf(analysis.patterns, 'weightedScore');
+            return {
+                index: index,
+                id: `turn-${index}`,
+                speaker: turn.speaker.trim(),
+                text: turn.text,
+                ...(turn.timestamp && { timestamp: turn.timestamp }),
+                patterns: patterns,
+                drivers: scoresOf(analysis.drivers, 'normalizedScore'),
+                dominantPattern: Object.keys(patterns).sort((a, b) => patterns[b] - patterns[a])[0] || null,
+                sentiment: analysis.sentiment.combined,
+                markerCount: analysis.hits.length,
+                analysis: analysis
+            };
+        });
+        
+        // Each speaker's own words, analyzed together, plus their turn-by-turn trajectory
+        const speakers = {};
+        analyzedTurns.forEach(turn => {
+            if (!speakers[turn.speaker]) speakers[turn.speaker] = [];
+            speakers[turn.speaker].push(turn);
+        });
+        Object.entries(speakers).forEach(([speaker, ownTurns]) => {
+            const trajectory = field => {
+                const names = new Set(ownTurns.flatMap(turn => Object.keys(turn[field])));
+                return Object.fromEntries([...names].map(name => [name, ownTurns.map(turn => turn[field][name] || 0)]));
+            };
+            
+            speakers[speaker] = {
+                speaker: speaker,
+                turnCount: ownTurns.length,
+                turnIds: ownTurns.map(turn => turn.id),
+                analysis: this.analyze(ownTurns.map(turn => turn.text).join('\n\n'), options),
+                trajectory: {
+                    patterns: trajectory('patterns'),
+                    drivers: trajectory('drivers'),
+                    sentiment: ownTurns.map(turn => turn.sentiment)
+                }
+            };
+        });
+        
+        const dynamics = this.detectConversationDynamics(analyzedTurns);
+        
+        return {
+            turns: analyzedTurns,
+            speakers: speakers,
+            dynamics: dynamics,
+            metadata: {
+                turnCount: analyzedTurns.length,
+                speakerCount: Object.keys(speakers).length,
+                dynamicCount: dynamics.length,
+                processingTime: Date.now() - startTime,
+                analysisTimestamp: new Date().toISOString(),
+                engineVersion: "3.2",
+                options: options
+            }
+        };
+    }
+
+    detectConversationDynamics(turns) {
+        const dynamics = [];
+        
+        // Each turn against the reply that follows it from a different speaker
+        for (let i = 0; i + 1 < turns.length; i++) {
+            const turn = turns[i];
+            const reply = turns[i + 1];
+            if (turn.speaker === reply.speaker) continue;
+            
+            (this.kb.conversation_dynamics || []).forEach(rule => {
+                const triggerWeight = turn.patterns[rule.trigger] || 0;
+                const responseWeight = reply.patterns[rule.response] || 0;
+                if (triggerWeight === 0 || responseWeight === 0) return;
+                
+                dynamics.push({
+                    label: rule.label,
+                    trigger: { speaker: turn.speaker, turnId: turn.id, pattern: rule.trigger, weight: triggerWeight },
+                    response: { speaker: reply.speaker, turnId: reply.id, pattern: rule.response, weight: responseWeight },
+                    strength: Math.min(triggerWeight, responseWeight),
+                    interpretation: rule.interpretation,
+                    recommendation: rule.recommendation
+                });
+            });
+        }
+        
+        return dynamics;
+    }
+
     // ========== ENHANCED COHERENCE CALCULATION ==========
     
     calculateEnhancedCoherence(hits, conflicts, clusters) {
         const baseCoherence = 0.7;
         
-        // Conflict penalty
+        // Conflict penalty, a quarter point per conflict at the top of the severity scale
+        const severityScale = ENGINE_MODULES.ConflictResolver.SEVERITY_SCALE;
         const conflictPenalty = conflicts.reduce((sum, conflict) => 
-            sum + (conflict.severity || 0.5), 0) * 0.1;
+            sum + (conflict.severity ?? severityScale / 2), 0) / severityScale * 0.25;
         
         // Cluster bonus (clusters show coherent thinking)
         const clusterBonus = clusters ? Math.min(0.2, clusters.length * 0.05) : 0;
@@ -1096,12 +1926,12 @@ class CognitiveEngine {
 
     // ========== ENHANCED INSIGHT GENERATION ==========
     
-    generateEnhancedInsights(patternScores, driverScores, conflicts, temporalShift, sentiment) {
+    generateEnhancedInsights(patternScores, driverScores, conflicts, temporalShift, sentiment, reinforcementChains = [], timeOrientation = null, sentences = []) {
         const insights = [];
         
-        // 1. Primary pattern insight
+        // 1. Primary pattern insight (distortions only; counter-patterns get their own below)
         const primaryPatterns = Object.keys(patternScores)
-            .filter(p => patternScores[p].confidence > this.minConfidenceThreshold)
+            .filter(p => !patternScores[p].adaptive && patternScores[p].confidence > this.config.minConfidence)
             .sort((a, b) => patternScores[b].weightedScore - patternScores[a].weightedScore);
         
         if (primaryPatterns.length > 0) {
@@ -1117,6 +1947,7 @@ class CognitiveEngine {
                 intensity: data.intensity,
                 description: patternInfo?.clinical_correlation || "Significant cognitive pattern detected.",
                 markers: data.count,
+                sentenceIds: sentences.filter(s => s.patternWeights[primary]).map(s => s.id),
                 clusters: data.clusters?.length || 0,
                 recommendation: patternInfo?.mitigation_strategy || "Consider awareness of this thinking pattern."
             });
@@ -1124,7 +1955,7 @@ class CognitiveEngine {
         
         // 2. Primary driver insight
         const primaryDrivers = Object.keys(driverScores)
-            .filter(d => driverScores[d].normalizedScore >= 4)
+            .filter(d => driverScores[d].normalizedScore >= this.config.driverInsightCutoff)
             .sort((a, b) => driverScores[b].normalizedScore - driverScores[a].normalizedScore);
         
         if (primaryDrivers.length > 0) {
@@ -1144,7 +1975,7 @@ class CognitiveEngine {
         }
         
         // 3. Sentiment insight
-        if (sentiment && sentiment.intensity > 0.2) {
+        if (sentiment && sentiment.intensity > this.config.sentimentInsightCutoff) {
             insights.push({
                 type: "sentiment_insight",
                 overall: sentiment.overall,
@@ -1166,6 +1997,7 @@ class CognitiveEngine {
                 conflictType: primaryConflict.type,
                 severity: primaryConflict.severity,
                 interpretation: primaryConflict.interpretation,
+                sentenceIds: primaryConflict.sentenceIds || [],
                 recommendation: primaryConflict.recommendation || "Explore this tension through reflection."
             });
         }
@@ -1177,7 +2009,7 @@ class CognitiveEngine {
             
             insights.push({
                 type: "temporal_insight",
-                pattern: significantShift.pattern,
+                pattern: significantShift.category,
                 shift: significantShift.interpretation,
                 fromTo: `${significantShift.from} → ${significantShift.to}`,
                 change: significantShift.percentChange.toFixed(0) + '%',
@@ -1205,40 +2037,140 @@ class CognitiveEngine {
             });
         }
         
+        // 7. Reinforcement chain insight
+        if (reinforcementChains.length > 0) {
+            const strongest = reinforcementChains[0];
+            
+            insights.push({
+                type: "reinforcement_chain",
+                words: strongest.words,
+                categories: strongest.categories,
+                chainCount: reinforcementChains.length,
+                sentenceIds: strongest.sentenceIds,
+                combinedWeight: strongest.combinedWeight,
+                interpretation: `Markers reinforce each other: ${strongest.words.map(w => `"${w.replace(/_/g, ' ')}"`).join(' → ')}. Stacked distortions tend to feel more convincing than isolated ones.`,
+                recommendation: "Take the statements one at a time and look for evidence against each."
+            });
+        }
+        
+        // 8. Time orientation insight
+        const orientation = timeOrientation?.overall;
+        if (orientation && orientation.total >= 2 && orientation.counts[orientation.dominant]) {
+            const share = orientation.shares[orientation.dominant];
+            const guidance = timeOrientation.guidance || {};
+            
+            insights.push({
+                type: "time_orientation",
+                orientation: orientation.dominant,
+                share: share,
+                interpretation: `${(share * 100).toFixed(0)}% of time references point to the ${orientation.dominant}.`,
+                psychologicalImplication: guidance.psychologicalImplication,
+                recommendation: guidance.therapeuticApproach || "Notice where in time your attention tends to settle."
+            });
+        }
+        
+        // 9. Pattern/time-orientation links (worry, regret, ...)
+        (timeOrientation?.links || []).forEach(link => {
+            insights.push({
+                type: "temporal_pattern_link",
+                label: link.label,
+                pattern: link.pattern,
+                orientation: link.orientation,
+                sentenceIds: link.sentences.map(index => `sentence-${index}`),
+                interpretation: `${link.interpretation} (${link.pattern} with ${link.orientation} focus).`,
+                psychologicalImplication: link.psychologicalImplication,
+                recommendation: link.therapeuticApproach
+            });
+        });
+        
+        // 10. Sentence hotspot insight
+        const hotspot = sentences
+            .filter(s => s.distortionScore >= this.config.hotspotMinDistortion)
+            .sort((a, b) => b.distortionScore - a.distortionScore)[0];
+        
+        if (hotspot) {
+            const hotspotPattern = Object.keys(hotspot.patternWeights)
+                .filter(p => !this.isAdaptivePattern(p))
+                .sort((a, b) => hotspot.patternWeights[b] - hotspot.patternWeights[a])[0];
+            
+            insights.push({
+                type: "sentence_hotspot",
+                sentenceIds: [hotspot.id],
+                text: hotspot.text,
+                pattern: hotspotPattern,
+                distortionScore: hotspot.distortionScore,
+                interpretation: `The most distorted sentence leans on ${this.kb.patterns[hotspotPattern]?.name || hotspotPattern}: "${hotspot.text}"`,
+                recommendation: "Start reflection with this sentence and try restating it in more balanced terms."
+            });
+        }
+        
+        // 11. Adaptive pattern insight: healthy language, and the distortions it offsets here
+        const adaptivePatterns = Object.keys(patternScores)
+            .filter(p => patternScores[p].adaptive && patternScores[p].confidence > this.config.minConfidence)
+            .sort((a, b) => patternScores[b].weightedScore - patternScores[a].weightedScore);
+        
+        if (adaptivePatterns.length > 0) {
+            const strongest = adaptivePatterns[0];
+            const patternInfo = this.kb.patterns[strongest];
+            const counters = (patternInfo.counters || []).filter(p => patternScores[p]);
+            
+            insights.push({
+                type: "adaptive_pattern",
+                pattern: strongest,
+                name: patternInfo.name,
+                patterns: adaptivePatterns,
+                counters: counters,
+                confidence: patternScores[strongest].confidence,
+                markers: patternScores[strongest].count,
+                sentenceIds: sentences.filter(s => s.patternWeights[strongest]).map(s => s.id),
+                interpretation: counters.length > 0 ?
+                    `${patternInfo.name} appears alongside ${counters.map(p => this.kb.patterns[p]?.name || p).join(' and ')} and offsets ${counters.length > 1 ? 'them' : 'it'}.` :
+                    `${patternInfo.name} shows up in the language: ${patternInfo.clinical_correlation}.`,
+                recommendation: patternInfo.reinforcement_strategy || "Notice and build on this way of thinking."
+            });
+        }
+        
         return insights;
     }
 
     // ========== HELPER METHODS (from original) ==========
     
-    matchSemanticPattern(token, context) {
-        const marker = this.wordLookup.get(token);
+    matchSemanticPattern(token, context, tokens, start, end = start) {
+        const language = context?.language || this.getLanguage();
+        const marker = language.wordLookup.get(token);
         if (!marker) return { match: false };
         
-        if (marker.context_required && marker.valid_contexts) {
-            const fullContext = context.fullWindow.join('_');
-            const precedingContext = context.preceding.join('_');
-            
-            for (const [pattern, config] of Object.entries(marker.valid_contexts)) {
-                if (fullContext.includes(pattern) || precedingContext.includes(pattern)) {
-                    return {
-                        match: true,
-                        contextPattern: pattern,
-                        contextConfig: config,
-                        contextWeight: config.weight || marker.weight
-                    };
-                }
-            }
+        const rule = tokens ? language.matchContextRule(tokens, start, end, token) : null;
+        if (rule) {
+            return {
+                match: true,
+                contextPattern: rule.name,
+                contextConfig: rule.config,
+                contextWeight: rule.config.weight || marker.weight,
+                subcategory: rule.config.subcategory || marker.subcategory
+            };
+        }
+        
+        // A marker that only counts in specific contexts is dropped without one
+        if (marker.context_required) {
+            return {
+                match: false,
+                rejected: true,
+                contextPattern: null,
+                reason: "required_context_missing"
+            };
         }
         
         return { 
             match: true,
             contextPattern: "general",
-            contextWeight: marker.weight
+            contextWeight: marker.weight,
+            subcategory: marker.subcategory
         };
     }
 
-    calculateAdjustedWeight(baseWeight, negationState, modifierEffect, semanticContext) {
-        if (!semanticContext.match) return 0;
+    calculateAdjustedWeight(baseWeight, negationState, modifierEffect, semanticContext, agencyFactor = 1) {
+        if (!semanticContext.match || agencyFactor === 0) return 0;
         
         let adjustedWeight = semanticContext.contextWeight || baseWeight;
         
@@ -1246,37 +2178,48 @@ class CognitiveEngine {
             adjustedWeight *= (1 - negationState.strength);
         }
         
-        adjustedWeight *= modifierEffect.multiplier;
+        adjustedWeight *= modifierEffect.multiplier * agencyFactor;
         
-        return Math.max(0.1, adjustedWeight);
+        return Math.max(this.config.weightFloor, adjustedWeight);
     }
 
-    getTemporalSegment(position, totalLength) {
-        const segmentSize = totalLength / this.temporalSegments;
-        if (position < segmentSize) return "early";
-        if (position < segmentSize * 2) return "middle";
-        return "late";
+    getAgencyFactor(agency) {
+        const weights = this.config.agencyWeights;
+        return weights[agency.person || 'unknown'] ?? 1;
+    }
+
+    segmentText(text, tokens) {
+        return ENGINE_MODULES.TemporalAnalyzer.segmentTokens(
+            tokens,
+            this.config.temporalSegments,
+            this.config.temporalSegmentation,
+            text
+        );
     }
 
-    analyzeTemporalShift(temporalDistribution) {
+    getTemporalSegment(position, segments) {
+        return ENGINE_MODULES.TemporalAnalyzer.getSegmentForPosition(position, segments);
+    }
+
+    analyzeTemporalShift(temporalDistribution, segments = Object.keys(temporalDistribution).map((id, index) => ({ index, id }))) {
         const shifts = [];
-        const segments = ["early", "middle", "late"];
+        const order = segments.map(segment => segment.id);
         
-        segments.forEach((seg, idx) => {
+        order.forEach((seg, idx) => {
             if (idx === 0) return;
             
-            const prev = segments[idx - 1];
+            const prev = order[idx - 1];
             const categories = new Set([
                 ...Object.keys(temporalDistribution[prev] || {}),
                 ...Object.keys(temporalDistribution[seg] || {})
             ]);
             
             categories.forEach(cat => {
-                const prevScore = temporalDistribution[prev][cat] || 0;
-                const currScore = temporalDistribution[seg][cat] || 0;
+                const prevScore = temporalDistribution[prev]?.[cat] || 0;
+                const currScore = temporalDistribution[seg]?.[cat] || 0;
                 const change = currScore - prevScore;
                 
-                if (Math.abs(change) > 1) {
+                if (Math.abs(change) > this.config.temporalShiftMinChange) {
                     shifts.push({
                         category: cat,
                         from: prev,
@@ -1290,8 +2233,15 @@ class CognitiveEngine {
             });
         });
         
+        // Per-pattern arcs across the segments, which the temporal conflict detector compares
+        const { arc, trajectories } = this.temporalAnalyzer.analyzeDistribution(temporalDistribution, segments);
+        
         return {
+            segments: segments,
+            distribution: temporalDistribution,
             shifts: shifts,
+            arc: arc,
+            trajectories: trajectories,
             summary: this.generateTemporalSummary(shifts)
         };
     }
@@ -1332,17 +2282,26 @@ class CognitiveEngine {
 
     // ========== UTILITY METHODS ==========
     
+    // Counter-patterns (self-compassion, gradient thinking, ...) are scored but aren't distortions
+    isAdaptivePattern(category) {
+        return Boolean(this.kb.patterns[category]?.adaptive);
+    }
+    
     getStatistics() {
+        const cache = this.cache.getStatistics();
         return {
             ...this.stats,
-            cacheSize: this.cache.size,
+            cacheHits: cache.hits,
+            cacheMisses: cache.misses,
+            cacheSize: cache.size,
+            cache: cache,
             lexiconSize: Object.keys(this.kb.lexicon).length,
             patternCount: Object.keys(this.kb.patterns).length,
             driverCount: Object.keys(this.kb.drivers).length,
             averageMarkersPerAnalysis: this.stats.analyses > 0 ? 
                 Math.round(this.stats.totalMarkers / this.stats.analyses) : 0,
-            cacheHitRate: this.stats.cacheHits + this.stats.cacheMisses > 0 ?
-                (this.stats.cacheHits / (this.stats.cacheHits + this.stats.cacheMisses)) * 100 : 0
+            cacheHitRate: cache.hitRate,
+            cacheBackend: this.cacheBackend ? this.cacheBackend.name : null
         };
     }
 
@@ -1351,9 +2310,11 @@ class CognitiveEngine {
             analyses: 0,
             totalMarkers: 0,
             totalWords: 0,
-            cacheHits: 0,
-            cacheMisses: 0
+            backendHits: 0,
+            backendMisses: 0,
+            backendErrors: 0
         };
+        this.cache.resetStatistics();
         console.log('📊 Statistics reset');
     }
 
@@ -1,14 +1,54 @@
 // COGNITIVE INSIGHT ENGINE - Interface Controller
 // Version 3.0 - Complete UI integration with all modules
 
+/* global CognitiveEngine, ConflictResolver, TemporalAnalyzer, ConfidenceScorer, NarrativeGenerator, EngineWorkerClient, Chart */
+
+// Node requires the modules; a page loads them as scripts first
+const INTERFACE_MODULES = typeof module !== 'undefined' && module.exports ? {
+    CognitiveEngine: require('./engine.js'),
+    ConflictResolver: require('./conflict.js'),
+    TemporalAnalyzer: require('./temporal.js'),
+    ConfidenceScorer: require('./confidence.js'),
+    NarrativeGenerator: require('../models/narrative-gen.js'),
+    EngineWorkerClient: require('./worker-client.js')
+} : {
+    // With the worker, a page only needs worker-client.js
+    CognitiveEngine: typeof CognitiveEngine !== 'undefined' ? CognitiveEngine : null,
+    ConflictResolver: typeof ConflictResolver !== 'undefined' ? ConflictResolver : null,
+    TemporalAnalyzer: typeof TemporalAnalyzer !== 'undefined' ? TemporalAnalyzer : null,
+    ConfidenceScorer: typeof ConfidenceScorer !== 'undefined' ? ConfidenceScorer : null,
+    NarrativeGenerator: typeof NarrativeGenerator !== 'undefined' ? NarrativeGenerator : null,
+    EngineWorkerClient: typeof EngineWorkerClient !== 'undefined' ? EngineWorkerClient : null
+};
+
 class InterfaceController {
-    constructor(knowledgeBase) {
+    constructor(knowledgeBase, options = {}) {
         this.kb = knowledgeBase;
-        this.engine = new CognitiveEngine(knowledgeBase);
-        this.conflictResolver = new ConflictResolver(knowledgeBase);
-        this.temporalAnalyzer = new TemporalAnalyzer(knowledgeBase);
-        this.confidenceScorer = new ConfidenceScorer(knowledgeBase);
-        this.narrativeGenerator = new NarrativeGenerator(knowledgeBase);
+        
+        // Analyses run in a Web Worker (engine-worker.js) when the page can start one,
+        // so long texts never freeze the UI; otherwise the modules run on the main thread
+        this.engineClient = options.engineClient || this.createWorkerClient(options.workerUrl);
+        if (!this.engineClient) {
+            this.engine = new INTERFACE_MODULES.CognitiveEngine(knowledgeBase);
+            this.conflictResolver = new INTERFACE_MODULES.ConflictResolver(knowledgeBase);
+            this.temporalAnalyzer = new INTERFACE_MODULES.TemporalAnalyzer(knowledgeBase);
+            this.confidenceScorer = new INTERFACE_MODULES.ConfidenceScorer(knowledgeBase);
+            this.narrativeGenerator = new INTERFACE_MODULES.NarrativeGenerator(knowledgeBase);
+        }
+        this.activeRequest = null;
+        
+        this.progressLabels = {
+            queued: 'Waiting',
+            tokenizing: 'Reading text',
+            markers: 'Finding markers',
+            patterns: 'Scoring patterns',
+            drivers: 'Inferring drivers',
+            temporal: 'Tracking shifts',
+            sentences: 'Reading sentences',
+            insights: 'Generating insights',
+            report: 'Building report',
+            complete: 'Done'
+        };
         
         this.radarChart = null;
         this.currentAnalysis = null;
@@ -24,12 +64,100 @@ class InterfaceController {
             'personalization': '#08D9D6',   // Electric Blue
             'mind_reading': '#00FF8C',      // Lime Green
             'emotional_reasoning': '#AA00FF', // Neon Purple
+            'hyper_independence': '#3D5AFE', // Electric Indigo
             'default': '#8A8AA3'            // Muted Purple
         };
         
         // Bind methods
         this.updateInterface = this.updateInterface.bind(this);
         this.highlightText = this.highlightText.bind(this);
+        this.showProgress = this.showProgress.bind(this);
+    }
+
+    // ========== ANALYSIS ==========
+    
+    // Resolves with the report, or null when a newer call cancelled this one
+    async analyze(text, options = {}) {
+        if (this.engineClient) this.engineClient.cancel();
+        const request = this.activeRequest = {};
+        this.currentText = text;
+        this.showProgress({ stage: 'queued', progress: 0 });
+        
+        try {
+            const report = this.engineClient ?
+                await this.engineClient.analyze(text, options, this.showProgress) :
+                this.buildReport(text, this.engine.analyze(text, options));
+            this.updateInterface(report);
+            return report;
+        } catch (error) {
+            if (error.cancelled) return null;
+            throw error;
+        } finally {
+            if (request === this.activeRequest) this.hideProgress();
+        }
+    }
+
+    // Browsers refuse workers on some origins (a page opened from file://, for one)
+    createWorkerClient(workerUrl) {
+        const { EngineWorkerClient: WorkerClient } = INTERFACE_MODULES;
+        if (typeof Worker === 'undefined' || !WorkerClient) return null;
+        try {
+            return new WorkerClient(workerUrl);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Main-thread counterpart of the report engine-worker.js builds
+    buildReport(text, analysis) {
+        return {
+            analysis: analysis,
+            conflicts: this.conflictResolver.analyzeConflicts(analysis),
+            temporalFlow: this.temporalAnalyzer.analyzeTemporalFlow(text, analysis.hits, analysis.temporalShift.segments),
+            confidence: this.confidenceScorer.calculateOverallConfidence(analysis),
+            narrative: this.narrativeGenerator.generateIntegratedNarrative(analysis)
+        };
+    }
+
+    updateInterface(report) {
+        const analysis = report.analysis;
+        this.currentAnalysis = analysis;
+        
+        const highlighted = document.getElementById('highlighted-text');
+        if (highlighted) highlighted.innerHTML = this.highlightText(this.currentText, analysis.hits);
+        
+        this.createDriverRadar(analysis.drivers);
+        this.createTemporalChart(analysis.temporalShift.distribution, analysis.temporalShift.segments);
+        this.updateConflictList(report.conflicts.all);
+        this.updateMarkerAnalysis(analysis.hits);
+    }
+
+    showProgress({ stage, progress }) {
+        const container = document.getElementById('analysis-progress');
+        if (!container) return;
+        
+        const percent = Math.round(progress * 100);
+        container.style.display = 'block';
+        container.innerHTML = `
+            <div style="display: flex; justify-content: space-between; margin-bottom: 8px; font-weight: 800; color: #FFFFFF;">
+                <span><i class="fas fa-circle-notch fa-spin" style="color: #08D9D6; margin-right: 8px;"></i>${(this.progressLabels[stage] || stage).toUpperCase()}</span>
+                <span style="color: #FFD700;">${percent}%</span>
+            </div>
+            <div style="height: 8px; background: rgba(255,255,255,0.1); border-radius: 4px; overflow: hidden; border: 1px solid #2A2A40;">
+                <div style="height: 100%; width: ${percent}%; background: linear-gradient(90deg, #08D9D6, #FF2E63); border-radius: 4px; transition: width 0.3s ease;"></div>
+            </div>
+        `;
+        
+        const button = document.getElementById('analyze-btn');
+        if (button) button.classList.add('is-analyzing');
+    }
+
+    hideProgress() {
+        const container = document.getElementById('analysis-progress');
+        if (container) container.style.display = 'none';
+        
+        const button = document.getElementById('analyze-btn');
+        if (button) button.classList.remove('is-analyzing');
     }
 
     // ========== ALSO UPDATE THE createDriverRadar METHOD ==========
@@ -200,9 +328,8 @@ class InterfaceController {
         let highlighted = text;
         
         sortedHits.forEach(hit => {
-            const originalWord = hit.originalWord || hit.word;
-            const escapedWord = originalWord.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-            const regex = new RegExp(`\\b${escapedWord}\\b`, 'gi');
+            const hasSpan = Number.isInteger(hit.start) && Number.isInteger(hit.end);
+            const originalWord = hasSpan ? text.slice(hit.start, hit.end) : (hit.originalWord || hit.word);
             
             // Use bold colors from the constructor
             const color = this.categoryColors[hit.category] || this.categoryColors.default;
@@ -224,7 +351,13 @@ class InterfaceController {
                 ${originalWord}
             </span>`;
             
-            highlighted = highlighted.replace(regex, replacement);
+            // Hits are applied back to front, so earlier offsets stay valid
+            if (hasSpan) {
+                highlighted = highlighted.slice(0, hit.start) + replacement + highlighted.slice(hit.end);
+            } else {
+                const escapedWord = originalWord.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                highlighted = highlighted.replace(new RegExp(`\\b${escapedWord}\\b`, 'gi'), replacement);
+            }
         });
         
         return highlighted;
@@ -232,15 +365,16 @@ class InterfaceController {
     
     // ========== UPDATE TEMPORAL CHART COLORS ==========
     
-    createTemporalChart(temporalDistribution) {
+    createTemporalChart(temporalDistribution, segmentList = null) {
         const container = document.getElementById('temporal-chart');
         if (!container) return;
         
         container.innerHTML = '';
         
-        const hasData = Object.keys(temporalDistribution.early || {}).length > 0 ||
-                       Object.keys(temporalDistribution.middle || {}).length > 0 ||
-                       Object.keys(temporalDistribution.late || {}).length > 0;
+        // Segments in reading order; any number of them
+        const segments = segmentList ||
+            Object.keys(temporalDistribution).map((id, index) => ({ id, index, label: id }));
+        const hasData = segments.some(seg => Object.keys(temporalDistribution[seg.id] || {}).length > 0);
         
         if (!hasData) {
             container.innerHTML = `
@@ -259,23 +393,24 @@ class InterfaceController {
         timeline.style.cssText = `
             display: flex;
             height: 180px;
-            gap: 15px;
+            gap: ${segments.length > 5 ? 6 : 15}px;
             padding: 20px;
             background: rgba(18, 18, 24, 0.7);
             border-radius: 12px;
             border: 2px solid #2A2A40;
         `;
         
-        const segments = ['early', 'middle', 'late'];
         const allPatterns = new Set();
         
         segments.forEach(seg => {
-            Object.keys(temporalDistribution[seg] || {}).forEach(p => allPatterns.add(p));
+            Object.keys(temporalDistribution[seg.id] || {}).forEach(p => allPatterns.add(p));
         });
         
         const patternList = Array.from(allPatterns).slice(0, 6);
+        const barWidth = Math.max(6, Math.min(25, Math.floor(150 / segments.length)));
         
         segments.forEach(segment => {
+            const weights = temporalDistribution[segment.id] || {};
             const segmentDiv = document.createElement('div');
             segmentDiv.className = 'segment';
             segmentDiv.style.cssText = `
@@ -288,11 +423,11 @@ class InterfaceController {
             `;
             
             const maxWeight = Math.max(...patternList.map(pattern => 
-                temporalDistribution[segment][pattern] || 0
+                weights[pattern] || 0
             ));
             
             patternList.forEach(pattern => {
-                const score = temporalDistribution[segment][pattern] || 0;
+                const score = weights[pattern] || 0;
                 const height = maxWeight > 0 ? (score / maxWeight) * 100 : 0;
                 const color = this.categoryColors[pattern] || this.categoryColors.default;
                 
@@ -308,7 +443,7 @@ class InterfaceController {
                 const bar = document.createElement('div');
                 bar.className = 'segment-bar';
                 bar.style.cssText = `
-                    width: 25px;
+                    width: ${barWidth}px;
                     height: ${height}%;
                     background: linear-gradient(to top, ${color}, ${color}DD);
                     border-radius: 6px 6px 0 0;
@@ -351,7 +486,8 @@ class InterfaceController {
                 font-size: 0.9rem;
                 text-shadow: 0 0 10px rgba(255, 215, 0, 0.5);
             `;
-            label.textContent = segment;
+            label.textContent = segment.label;
+            if (segment.phase) label.title = segment.phase;
             
             segmentDiv.appendChild(label);
             timeline.appendChild(segmentDiv);
@@ -554,3 +690,7 @@ class InterfaceController {
         }
     }
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InterfaceController;
+}
@@ -59,11 +59,16 @@ const KNOWLEDGE_BASE = {
       weight: 3.0,
       intensity: "moderate",
       context_required: true,
+      forms: ["shoulds", "shouldn"],
+      // Checked in order, first match wins; "/" separates alternatives for one slot
       valid_contexts: {
+        "should_have": { weight: 5.0, subcategory: "regret_focus" },
+        "should_not": { weight: 3.5, subcategory: "prohibitive" },
         "i_should": { weight: 4.0, subcategory: "self_directed" },
+        "we_should": { weight: 3.0, subcategory: "self_directed" },
         "you_should": { weight: 2.5, subcategory: "other_directed" },
-        "should_have": { weight: 5.0, subcategory: "regret_focus" },
-        "should_not": { weight: 3.5, subcategory: "prohibitive" }
+        "he/she/they_should": { weight: 2.2, subcategory: "other_directed" },
+        "my/our_should": { weight: 3.5, subcategory: "internalized_rules" }
       },
       emotional_valence: -0.6,
       clinical_note: "Internalized expectations"
@@ -74,6 +79,7 @@ const KNOWLEDGE_BASE = {
       weight: 3.5,
       intensity: "high",
       context_required: false,
+      forms: ["mustn"],
       emotional_valence: -0.7,
       clinical_note: "High pressure self-talk"
     },
@@ -83,6 +89,13 @@ const KNOWLEDGE_BASE = {
       weight: 2.8,
       intensity: "moderate",
       context_required: true,
+      forms: ["has_to", "had_to", "got_to"],
+      valid_contexts: {
+        "i_have_to": { weight: 3.2, subcategory: "self_directed" },
+        "we_have_to": { weight: 2.8, subcategory: "self_directed" },
+        "you_have_to": { weight: 2.2, subcategory: "other_directed" },
+        "he/she/they_have_to": { weight: 2.0, subcategory: "other_directed" }
+      },
       emotional_valence: -0.5,
       clinical_note: "Perceived obligations"
     },
@@ -98,6 +111,28 @@ const KNOWLEDGE_BASE = {
       clinical_note: "Extreme negative forecasting"
     },
     
+    "catastrophe": {
+      category: "catastrophizing",
+      weight: 4.0,
+      intensity: "high",
+      modifiers: ["extreme", "negative"],
+      reinforces: ["disaster", "ruined", "worst"],
+      forms: ["catastrophic", "catastrophically"],
+      emotional_valence: -0.9,
+      clinical_note: "Extreme negative forecasting"
+    },
+    
+    "ruined": {
+      category: "catastrophizing",
+      weight: 3.4,
+      intensity: "high",
+      modifiers: ["extreme", "outcome"],
+      reinforces: ["disaster", "catastrophe", "worst"],
+      forms: ["ruin", "ruins", "ruining"],
+      emotional_valence: -0.8,
+      clinical_note: "Irreversible damage appraisal"
+    },
+    
     "terrible": {
       category: "catastrophizing",
       weight: 3.2,
@@ -125,6 +160,7 @@ const KNOWLEDGE_BASE = {
       intensity: "high",
       modifiers: ["self_evaluative", "global"],
       reinforces: ["useless", "incompetent", "worthless"],
+      forms: ["failures", "fail", "fails", "failed", "failing"],
       emotional_valence: -0.8,
       temporal_sensitivity: true,
       clinical_note: "Global negative self-assessment"
@@ -136,6 +172,7 @@ const KNOWLEDGE_BASE = {
       intensity: "moderate",
       modifiers: ["self_evaluative", "cognitive"],
       reinforces: ["dumb", "idiot", "foolish"],
+      forms: ["stupider", "stupidest", "stupidity"],
       emotional_valence: -0.7,
       clinical_note: "Cognitive self-criticism"
     },
@@ -157,6 +194,7 @@ const KNOWLEDGE_BASE = {
       intensity: "high",
       requires_agency: true,
       modifiers: ["self_blame", "causality"],
+      forms: ["my_own_fault"],
       emotional_valence: -0.7,
       clinical_note: "Excessive self-blame attribution"
     },
@@ -178,6 +216,7 @@ const KNOWLEDGE_BASE = {
       intensity: "moderate",
       requires_agency: false,
       modifiers: ["assumptive", "social"],
+      forms: ["they_thought"],
       emotional_valence: -0.4,
       clinical_note: "Assuming others' thoughts"
     },
@@ -188,6 +227,7 @@ const KNOWLEDGE_BASE = {
       intensity: "moderate",
       requires_agency: false,
       modifiers: ["assumptive", "speculative"],
+      forms: ["probably_thought"],
       emotional_valence: -0.3,
       clinical_note: "Speculative mind reading"
     },
@@ -199,8 +239,251 @@ const KNOWLEDGE_BASE = {
       intensity: "low",
       requires_agency: true,
       modifiers: ["emotion_based", "subjective"],
+      forms: ["felt_like"],
       emotional_valence: -0.2,
       clinical_note: "Emotion-as-evidence thinking"
+    },
+    
+    // === HYPER-INDEPENDENCE ===
+    "need_nobody": {
+      category: "hyper_independence",
+      subcategory: "help_refusal",
+      weight: 3.0,
+      intensity: "high",
+      forms: ["need_no_one", "needs_nobody"],
+      reinforces: ["do_it_myself", "on_my_own"],
+      emotional_valence: -0.4,
+      clinical_note: "Denial of dependency needs"
+    },
+    
+    "do_it_myself": {
+      category: "hyper_independence",
+      subcategory: "help_refusal",
+      weight: 2.5,
+      intensity: "moderate",
+      forms: ["did_it_myself", "do_everything_myself", "did_everything_myself"],
+      reinforces: ["need_nobody"],
+      emotional_valence: -0.2,
+      clinical_note: "Self-sufficiency as protection from disappointment"
+    },
+    
+    "on_my_own": {
+      category: "hyper_independence",
+      subcategory: "self_isolation",
+      weight: 2.0,
+      intensity: "moderate",
+      forms: ["by_myself"],
+      emotional_valence: -0.2,
+      clinical_note: "Solitary coping"
+    },
+    
+    "nobody_tells_me": {
+      category: "hyper_independence",
+      subcategory: "control_resistance",
+      weight: 3.0,
+      intensity: "high",
+      forms: ["no_one_tells_me"],
+      emotional_valence: -0.5,
+      clinical_note: "Reactance to outside influence"
+    },
+    
+    "my_own_way": {
+      category: "hyper_independence",
+      subcategory: "control_resistance",
+      weight: 2.2,
+      intensity: "moderate",
+      emotional_valence: -0.1,
+      clinical_note: "Insistence on self-direction"
+    },
+    
+    // === ADAPTIVE: SELF-COMPASSION ===
+    "forgive_myself": {
+      category: "self_compassion",
+      weight: 2.5,
+      intensity: "moderate",
+      forms: ["forgave_myself", "forgiving_myself"],
+      contradicts: ["failure", "stupid", "useless"],
+      emotional_valence: 0.6,
+      clinical_note: "Self-forgiveness after a mistake"
+    },
+    
+    "kind_to_myself": {
+      category: "self_compassion",
+      weight: 2.2,
+      intensity: "moderate",
+      forms: ["gentle_with_myself"],
+      contradicts: ["failure", "stupid", "useless"],
+      emotional_valence: 0.6,
+      clinical_note: "Self-kindness in place of self-judgment"
+    },
+    
+    "did_my_best": {
+      category: "self_compassion",
+      weight: 2.0,
+      intensity: "moderate",
+      forms: ["doing_my_best", "do_my_best"],
+      emotional_valence: 0.5,
+      clinical_note: "Effort valued over outcome"
+    },
+    
+    "only_human": {
+      category: "self_compassion",
+      weight: 2.0,
+      intensity: "low",
+      emotional_valence: 0.4,
+      clinical_note: "Common humanity (Neff, 2003)"
+    },
+    
+    // === ADAPTIVE: FLEXIBLE THINKING ===
+    "on_the_other_hand": {
+      category: "flexible_thinking",
+      weight: 2.0,
+      intensity: "moderate",
+      emotional_valence: 0.2,
+      clinical_note: "Weighing a second perspective"
+    },
+    
+    "another_way": {
+      category: "flexible_thinking",
+      weight: 1.8,
+      intensity: "low",
+      forms: ["other_ways", "another_perspective"],
+      emotional_valence: 0.3,
+      clinical_note: "Considering alternatives"
+    },
+    
+    "alternatively": {
+      category: "flexible_thinking",
+      weight: 1.5,
+      intensity: "low",
+      emotional_valence: 0.2,
+      clinical_note: "Considering alternatives"
+    },
+    
+    "could_also": {
+      category: "flexible_thinking",
+      weight: 1.5,
+      intensity: "low",
+      emotional_valence: 0.2,
+      clinical_note: "Open possibility in place of obligation"
+    },
+    
+    // === ADAPTIVE: UNCERTAINTY TOLERANCE ===
+    "whatever_happens": {
+      category: "uncertainty_tolerance",
+      weight: 2.0,
+      intensity: "moderate",
+      contradicts: ["disaster", "catastrophe", "worst"],
+      emotional_valence: 0.3,
+      clinical_note: "Acceptance of open outcomes"
+    },
+    
+    "one_step_at_a_time": {
+      category: "uncertainty_tolerance",
+      weight: 2.2,
+      intensity: "moderate",
+      forms: ["one_day_at_a_time"],
+      emotional_valence: 0.4,
+      clinical_note: "Present-focused coping"
+    },
+    
+    "can_handle": {
+      category: "uncertainty_tolerance",
+      weight: 1.8,
+      intensity: "moderate",
+      forms: ["could_handle", "can_cope"],
+      contradicts: ["disaster", "catastrophe", "ruined"],
+      emotional_valence: 0.5,
+      clinical_note: "Coping self-efficacy"
+    },
+    
+    "figure_it_out": {
+      category: "uncertainty_tolerance",
+      weight: 1.8,
+      intensity: "low",
+      forms: ["figured_it_out", "figure_things_out"],
+      emotional_valence: 0.4,
+      clinical_note: "Confidence in problem solving"
+    },
+    
+    // === ADAPTIVE: EXTERNALIZATION ===
+    "out_of_my_control": {
+      category: "externalization",
+      weight: 2.5,
+      intensity: "moderate",
+      forms: ["beyond_my_control"],
+      contradicts: ["my_fault", "because_of_me"],
+      emotional_valence: 0.1,
+      clinical_note: "Realistic limits of personal influence"
+    },
+    
+    "not_all_on_me": {
+      category: "externalization",
+      weight: 2.5,
+      intensity: "moderate",
+      contradicts: ["my_fault", "because_of_me"],
+      emotional_valence: 0.2,
+      clinical_note: "Shared responsibility"
+    },
+    
+    "other_factors": {
+      category: "externalization",
+      weight: 1.8,
+      intensity: "low",
+      emotional_valence: 0.1,
+      clinical_note: "Multi-causal attribution"
+    },
+    
+    "circumstances": {
+      category: "externalization",
+      weight: 1.5,
+      intensity: "low",
+      forms: ["circumstance"],
+      emotional_valence: 0,
+      clinical_note: "Situational attribution"
+    },
+    
+    // === ADAPTIVE: GRADIENT THINKING ===
+    "sometimes": {
+      category: "gradient_thinking",
+      subcategory: "temporal_gradient",
+      weight: 1.5,
+      intensity: "low",
+      contradicts: ["always", "never"],
+      emotional_valence: 0.1,
+      clinical_note: "Frequency in place of absolutes"
+    },
+    
+    "occasionally": {
+      category: "gradient_thinking",
+      subcategory: "temporal_gradient",
+      weight: 1.5,
+      intensity: "low",
+      contradicts: ["always", "never"],
+      emotional_valence: 0.1,
+      clinical_note: "Frequency in place of absolutes"
+    },
+    
+    "partly": {
+      category: "gradient_thinking",
+      subcategory: "partial_attribution",
+      weight: 1.5,
+      intensity: "low",
+      forms: ["partially"],
+      contradicts: ["everything", "nothing"],
+      emotional_valence: 0.1,
+      clinical_note: "Degrees in place of all-or-nothing"
+    },
+    
+    "to_some_extent": {
+      category: "gradient_thinking",
+      subcategory: "partial_attribution",
+      weight: 1.8,
+      intensity: "low",
+      forms: ["to_some_degree", "in_some_ways"],
+      contradicts: ["everything", "nothing"],
+      emotional_valence: 0.1,
+      clinical_note: "Degrees in place of all-or-nothing"
     }
   },
 
@@ -291,7 +574,7 @@ const KNOWLEDGE_BASE = {
     
     "emotional_reasoning": {
       name: "Emotional Reasoning",
-      driver: "certainty",
+      driver: "control",
       severity_threshold: 2,
       weight_multiplier: 1.1,
       markers: ["feel_like", "feels_as_if", "emotion_tells"],
@@ -299,6 +582,87 @@ const KNOWLEDGE_BASE = {
       clinical_correlation: "Mistaking feelings for facts (Beck, 1979)",
       mitigation_strategy: "Separate feeling from fact: 'I feel X, but the evidence shows Y'",
       escalation_path: "emotional_reasoning → distorted_beliefs → mood_congruent_memory"
+    },
+    
+    "hyper_independence": {
+      name: "Hyper-Independence",
+      driver: "autonomy",
+      severity_threshold: 2,
+      weight_multiplier: 1.1,
+      sub_patterns: {
+        "help_refusal": ["need_nobody", "do_it_myself"],
+        "self_isolation": ["on_my_own"],
+        "control_resistance": ["nobody_tells_me", "my_own_way"]
+      },
+      requires_agency: false,
+      clinical_correlation: "Compulsive self-reliance (Bowlby, 1977) - independence as defense against disappointment",
+      mitigation_strategy: "Experiment with small requests for help: 'What would sharing this cost me?'",
+      escalation_path: "hyper_independence → isolation → burnout"
+    },
+    
+    // === ADAPTIVE COUNTER-PATTERNS ===
+    // Healthy language that offsets a distortion; scored like any pattern but without a driver
+    "self_compassion": {
+      name: "Self-Compassion",
+      adaptive: true,
+      counters: ["self_critic", "imperative"],
+      severity_threshold: 2,
+      weight_multiplier: 1.0,
+      markers: ["forgive_myself", "kind_to_myself", "did_my_best", "only_human"],
+      requires_agency: false,
+      clinical_correlation: "Self-kindness, common humanity and mindfulness (Neff, 2003)",
+      reinforcement_strategy: "Notice the kind response and use it when self-criticism returns"
+    },
+    
+    "flexible_thinking": {
+      name: "Flexible Thinking",
+      adaptive: true,
+      counters: ["absolutist", "imperative"],
+      severity_threshold: 2,
+      weight_multiplier: 1.0,
+      markers: ["on_the_other_hand", "another_way", "alternatively", "could_also"],
+      requires_agency: false,
+      clinical_correlation: "Cognitive flexibility and perspective taking",
+      reinforcement_strategy: "Keep generating alternatives before settling on one reading"
+    },
+    
+    "uncertainty_tolerance": {
+      name: "Uncertainty Tolerance",
+      adaptive: true,
+      counters: ["catastrophizing", "absolutist"],
+      severity_threshold: 2,
+      weight_multiplier: 1.0,
+      markers: ["whatever_happens", "one_step_at_a_time", "can_handle", "figure_it_out"],
+      requires_agency: false,
+      clinical_correlation: "Low intolerance of uncertainty predicts less worry (Dugas, 1998)",
+      reinforcement_strategy: "Recall times an uncertain outcome turned out manageable"
+    },
+    
+    "externalization": {
+      name: "Balanced Attribution",
+      adaptive: true,
+      counters: ["personalization"],
+      severity_threshold: 1,
+      weight_multiplier: 1.0,
+      markers: ["out_of_my_control", "not_all_on_me", "other_factors", "circumstances"],
+      requires_agency: false,
+      clinical_correlation: "Realistic attribution of causes beyond the self",
+      reinforcement_strategy: "List every factor that contributed before assigning responsibility"
+    },
+    
+    "gradient_thinking": {
+      name: "Gradient Thinking",
+      adaptive: true,
+      counters: ["absolutist"],
+      severity_threshold: 2,
+      weight_multiplier: 1.0,
+      sub_patterns: {
+        "temporal_gradient": ["sometimes", "occasionally"],
+        "partial_attribution": ["partly", "to_some_extent"]
+      },
+      requires_agency: false,
+      clinical_correlation: "Continuum thinking as the alternative to dichotomous reasoning",
+      reinforcement_strategy: "Place the situation on a scale from 0 to 100 rather than at either end"
     }
   },
 
@@ -312,7 +676,7 @@ const KNOWLEDGE_BASE = {
       healthy_expression: "Structured goal-setting, preparation",
       unhealthy_expression: "Paralysis from over-planning, intolerance of ambiguity",
       therapeutic_direction: "Acceptance of uncertainty, flexible thinking",
-      conflicts_with: ["acceptance", "flexibility"],
+      conflicts_with: ["validation"],
       related_needs: ["safety", "predictability", "order"]
     },
     
@@ -324,7 +688,7 @@ const KNOWLEDGE_BASE = {
       healthy_expression: "Self-validation, healthy feedback seeking",
       unhealthy_expression: "Codependency, imposter syndrome, chronic self-doubt",
       therapeutic_direction: "Intrinsic self-worth, boundary setting",
-      conflicts_with: ["autonomy", "self_compassion"],
+      conflicts_with: ["autonomy", "control"],
       related_needs: ["belonging", "acceptance", "recognition"]
     },
     
@@ -336,7 +700,7 @@ const KNOWLEDGE_BASE = {
       healthy_expression: "Appropriate caution, risk assessment",
       unhealthy_expression: "Chronic worry, avoidance behaviors, threat magnification",
       therapeutic_direction: "Risk recalibration, exposure, safety behaviors examination",
-      conflicts_with: ["exploration", "growth"],
+      conflicts_with: ["autonomy"],
       related_needs: ["protection", "stability", "predictability"]
     },
     
@@ -348,7 +712,7 @@ const KNOWLEDGE_BASE = {
       healthy_expression: "Appropriate accountability, ethical action",
       unhealthy_expression: "Excessive guilt, martyr complex, burnout",
       therapeutic_direction: "Realistic responsibility boundaries, shared accountability",
-      conflicts_with: ["self_compassion", "delegation"],
+      conflicts_with: ["autonomy"],
       related_needs: ["efficacy", "contribution", "ethics"]
     },
     
@@ -360,7 +724,7 @@ const KNOWLEDGE_BASE = {
       healthy_expression: "Healthy boundaries, self-direction",
       unhealthy_expression: "Rebellion without cause, isolation, difficulty with interdependence",
       therapeutic_direction: "Balanced autonomy with connection",
-      conflicts_with: ["connection", "compliance"],
+      conflicts_with: ["validation", "safety", "responsibility"],
       related_needs: ["freedom", "choice", "self_expression"]
     }
   },
@@ -369,7 +733,7 @@ const KNOWLEDGE_BASE = {
   pattern_relationships: {
     "absolutist": {
       reinforces: ["catastrophizing", "imperative", "self_critic"],
-      conflicts_with: ["uncertainty_tolerance", "flexible_thinking"],
+      conflicts_with: ["uncertainty_tolerance", "flexible_thinking", "gradient_thinking"],
       escalation_path: "absolutist → rigid_perfectionism → anxiety_spiral",
       mitigation_pair: ["gradient_thinking", "flexibility"],
       clinical_note: "Often comorbid with anxiety disorders"
@@ -377,6 +741,7 @@ const KNOWLEDGE_BASE = {
     
     "self_critic": {
       reinforces: ["personalization", "imperative"],
+      conflicts_with: ["self_compassion"],
       driven_by: ["validation", "perfectionism"],
       protective_function: "Pre-emptive self-punishment to avoid external criticism",
       escalation_path: "self_critic → shame → depression",
@@ -386,6 +751,7 @@ const KNOWLEDGE_BASE = {
     
     "catastrophizing": {
       reinforces: ["anxiety", "avoidance"],
+      conflicts_with: ["uncertainty_tolerance"],
       driven_by: ["safety", "uncertainty_intolerance"],
       escalation_path: "catastrophizing → anxiety → avoidance → isolation",
       mitigation_pair: ["reality_testing", "probability_assessment"],
@@ -394,10 +760,56 @@ const KNOWLEDGE_BASE = {
     
     "imperative": {
       reinforces: ["self_critic", "guilt"],
+      conflicts_with: ["self_compassion", "flexible_thinking"],
       driven_by: ["validation", "perfectionism"],
       escalation_path: "imperative → pressure → burnout → resentment",
       mitigation_pair: ["preference_language", "self_compassion"],
       clinical_note: "Linked to external locus of control"
+    },
+    
+    "hyper_independence": {
+      reinforces: ["emotional_reasoning"],
+      driven_by: ["autonomy"],
+      escalation_path: "hyper_independence → isolation → burnout",
+      mitigation_pair: ["help_seeking", "interdependence"],
+      clinical_note: "Often follows early experiences of unreliable support"
+    },
+    
+    "personalization": {
+      reinforces: ["self_critic"],
+      conflicts_with: ["externalization"],
+      driven_by: ["responsibility"],
+      escalation_path: "personalization → guilt → anxiety",
+      mitigation_pair: ["externalization", "shared_accountability"],
+      clinical_note: "Common in depression and caregiver burnout"
+    },
+    
+    // Counter-patterns list the distortions they offset
+    "self_compassion": {
+      conflicts_with: ["self_critic", "imperative"],
+      clinical_note: "Buffers against depression and shame"
+    },
+    
+    "flexible_thinking": {
+      reinforces: ["gradient_thinking"],
+      conflicts_with: ["absolutist", "imperative"],
+      clinical_note: "Target of cognitive restructuring"
+    },
+    
+    "uncertainty_tolerance": {
+      conflicts_with: ["catastrophizing", "absolutist"],
+      clinical_note: "Target of CBT for generalized anxiety"
+    },
+    
+    "externalization": {
+      conflicts_with: ["personalization"],
+      clinical_note: "Balanced, not blame-shifting, attribution"
+    },
+    
+    "gradient_thinking": {
+      reinforces: ["flexible_thinking"],
+      conflicts_with: ["absolutist"],
+      clinical_note: "Continuum technique (Padesky, 1994)"
     }
   },
 
@@ -420,6 +832,79 @@ const KNOWLEDGE_BASE = {
     }
   },
 
+  // Patterns read differently depending on where in time they are anchored
+  temporal_pattern_links: [
+    {
+      pattern: "catastrophizing",
+      focus: "future_focus",
+      label: "worry",
+      interpretation: "Catastrophic predictions about what is coming"
+    },
+    {
+      pattern: "imperative",
+      focus: "past_focus",
+      label: "regret",
+      interpretation: "Demands applied to events that can no longer change"
+    },
+    {
+      pattern: "self_critic",
+      focus: "past_focus",
+      label: "rumination",
+      interpretation: "Revisiting past events as evidence against the self"
+    },
+    {
+      pattern: "mind_reading",
+      focus: "future_focus",
+      label: "anticipated_judgment",
+      interpretation: "Expecting others' negative judgment in advance"
+    },
+    {
+      pattern: "absolutist",
+      focus: "future_focus",
+      label: "hopelessness",
+      interpretation: "Fixed predictions that nothing will change"
+    }
+  ],
+
+  // One speaker's pattern followed by another pattern in the next speaker's reply
+  conversation_dynamics: [
+    {
+      trigger: "imperative",
+      response: "self_critic",
+      label: "demand_self_criticism",
+      interpretation: "Demands from one speaker are met with self-criticism from the other",
+      recommendation: "Notice whether the reply is answering the demand or judging the self for not meeting it"
+    },
+    {
+      trigger: "self_critic",
+      response: "imperative",
+      label: "corrective_pressure",
+      interpretation: "Self-criticism is answered with further rules about what should be done",
+      recommendation: "Acknowledge the self-criticism before moving to problem-solving"
+    },
+    {
+      trigger: "catastrophizing",
+      response: "catastrophizing",
+      label: "shared_escalation",
+      interpretation: "Both speakers amplify the worst-case reading of events",
+      recommendation: "Slow the exchange down and examine the evidence together"
+    },
+    {
+      trigger: "mind_reading",
+      response: "personalization",
+      label: "assumed_blame",
+      interpretation: "A guess about what others think is taken on as personal fault",
+      recommendation: "Separate what was actually said from what was assumed"
+    },
+    {
+      trigger: "absolutist",
+      response: "absolutist",
+      label: "mirrored_absolutes",
+      interpretation: "All-or-nothing language is mirrored back, hardening both positions",
+      recommendation: "Introduce exceptions and degrees into the conversation"
+    }
+  ],
+
   amplifiers: {
     extreme: ["very", "extremely", "completely", "totally", "utterly", "absolutely"],
     moderate: ["really", "quite", "particularly", "especially"],
@@ -434,9 +919,16 @@ const KNOWLEDGE_BASE = {
 
   // ========== NEGATION PATTERNS ==========
   negation_patterns: {
-    hard_negation: ["not", "never", "no", "don't", "won't", "can't", "isn't", "wasn't"],
+    hard_negation: [
+      "not", "never", "no", "cannot", "don't", "won't", "can't", "isn't", "wasn't",
+      "aren't", "weren't", "doesn't", "didn't", "couldn't", "wouldn't", "shouldn't",
+      "haven't", "hasn't", "hadn't", "ain't"
+    ],
     soft_negation: ["barely", "hardly", "scarcely", "rarely", "seldom"],
-    conditional_negation: ["unless", "except", "but", "however", "although"]
+    conditional_negation: ["unless", "except"],
+    // Contrastive and subordinating conjunctions close a negation's scope
+    scope_breakers: ["but", "however", "although", "though", "yet", "whereas", "while", "because"],
+    max_scope: 8
   },
 
   // ========== CONTEXT WINDOW CONFIG ==========
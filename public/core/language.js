@@ -0,0 +1,539 @@
+// COGNITIVE INSIGHT ENGINE - Language Pipeline
+// Version 3.2 - Per-language tokenization, sentence splitting and lexicon lookup
+
+class LanguagePipeline {
+    constructor(pack) {
+        if (!pack || !pack.code) {
+            throw new Error('Language pack must define a code');
+        }
+
+        this.code = pack.code;
+        this.name = pack.name || pack.code;
+        this.tokenPattern = pack.tokenPattern;
+        this.punctuationPattern = pack.punctuationPattern;
+        this.sentenceTerminators = pack.sentenceTerminators || /[.!?]/;
+        this.apostrophePattern = pack.apostrophes?.length ? new RegExp(`[${pack.apostrophes.join('')}]`, 'g') : null;
+        this.contractionSuffixes = new Set(pack.contractions?.suffixes || []);
+        this.negativeContraction = pack.contractions?.negative || null;
+        this.contractionExpansions = pack.contractions?.expansions || {};
+        this.stem = pack.lemmatize || (word => word);
+
+        // Document structure
+        this.quotePairs = pack.quotes || [['"', '"']];
+        this.quoteMarks = new Set(this.quotePairs.flat());
+        this.listItemPattern = pack.listItemPattern || /^\s*(?:[-*•]|\d+[.)])\s+/;
+        this.headingPattern = pack.headingPattern || /^\s*#{1,6}\s+/;
+        this.speechVerbs = new Set(pack.speech_verbs || []);
+
+        // Lexicons
+        this.lexicon = pack.lexicon || {};
+        this.negation = pack.negation_patterns || {};
+        this.amplifiers = pack.amplifiers || {};
+        this.diminishers = pack.diminishers || {};
+        this.sentiment = pack.sentiment || {};
+        this.temporalMarkers = pack.temporal_markers || {};
+        this.certainty = { hedges: pack.certainty?.hedges || [], boosters: pack.certainty?.boosters || [] };
+        this.modifierWords = new Set([
+            ...Object.values(this.amplifiers).flat(),
+            ...Object.values(this.diminishers).flat()
+        ]);
+
+        this.agency = this.compileAgency(pack.agency || {});
+        this.temporalIndex = Object.entries(this.temporalMarkers).flatMap(([type, data]) =>
+            (data.words || []).map(marker => ({ orientation: type.replace(/_focus$/, ''), marker, parts: marker.split('_') }))
+        );
+
+        this.buildLexiconIndex();
+    }
+
+    // ========== LEXICON INDEX ==========
+
+    buildLexiconIndex() {
+        this.wordLookup = new Map();
+        this.formLookup = new Map();
+        this.lemmaLookup = new Map();
+        this.phraseLookup = new Map();
+        this.contextRules = new Map();
+
+        Object.entries(this.lexicon).forEach(([word, data]) => {
+            this.wordLookup.set(word, data);
+            if (data.valid_contexts) {
+                this.contextRules.set(word, this.compileContextRules(word, data.valid_contexts));
+            }
+
+            // Explicit inflections from the lexicon entry map back to the canonical key
+            [word, ...(data.forms || [])].forEach(form => {
+                if (form.includes('_')) {
+                    this.registerPhrase(form, word, data);
+                } else {
+                    if (form !== word) this.formLookup.set(form, word);
+                    const lemma = this.lemmatize(form);
+                    if (!this.lemmaLookup.has(lemma)) this.lemmaLookup.set(lemma, word);
+                }
+            });
+        });
+    }
+
+    registerPhrase(form, key, data) {
+        // Split phrase keys the same way running text is tokenized so contractions line up
+        const parts = this.tokenize(form.replace(/_/g, ' '))
+            .filter(token => !token.isPunctuation)
+            .map(token => this.lemmatize(token.word));
+        if (parts.length < 2) return;
+
+        // Index by lemma of the first token, longest phrases first
+        const entries = this.phraseLookup.get(parts[0]) || [];
+        entries.push({ key, parts, data });
+        entries.sort((a, b) => b.parts.length - a.parts.length);
+        this.phraseLookup.set(parts[0], entries);
+    }
+
+    compileContextRules(key, contexts) {
+        const anchor = key.split('_');
+
+        return Object.entries(contexts).map(([name, config]) => {
+            const slots = name.split('_').map(slot => slot.split('/'));
+            const at = slots.findIndex((_, i) => anchor.every((part, j) => slots[i + j]?.includes(part)));
+            if (at === -1) {
+                throw new Error(`Context rule "${name}" does not contain marker "${key}"`);
+            }
+
+            // Offsets count words outward from the marker: -1 is the word just before it
+            const offsets = [
+                ...slots.slice(0, at).map((words, i) => ({ offset: i - at, words })),
+                ...slots.slice(at + anchor.length).map((words, i) => ({ offset: i + 1, words }))
+            ];
+
+            return { name, config, offsets };
+        });
+    }
+
+    compileAgency(agency) {
+        const persons = new Map();
+        ['first', 'second', 'third'].forEach(person => {
+            (agency[`${person}_person`] || []).forEach(word => persons.set(word, person));
+        });
+
+        return {
+            persons,
+            possessives: agency.possessives || {},
+            determiners: new Set(agency.determiners || []),
+            fillers: new Set(agency.fillers || []),
+            selfReferences: (agency.self_reference || [])
+                .map(phrase => this.tokenize(phrase.replace(/_/g, ' ')).map(token => token.word))
+        };
+    }
+
+    // ========== TOKENIZATION ==========
+
+    tokenize(text) {
+        if (!text || typeof text !== 'string') return [];
+
+        // Apostrophe variants are single characters, so offsets into the original text still hold
+        const normalized = this.apostrophePattern ? text.replace(this.apostrophePattern, "'") : text;
+        const tokens = [];
+        for (const match of normalized.matchAll(this.tokenPattern)) {
+            const start = match.index;
+            const original = text.slice(start, start + match[0].length);
+
+            tokens.push({
+                word: match[0].toLowerCase(),
+                original: original,
+                position: tokens.length,
+                start: start,
+                end: start + original.length,
+                charPosition: start,
+                isPunctuation: this.punctuationPattern.test(match[0])
+            });
+        }
+
+        return tokens;
+    }
+
+    markSentences(tokens) {
+        let sentenceStart = 0;
+        let sentenceIndex = 0;
+
+        const close = end => {
+            for (let i = sentenceStart; i < end; i++) {
+                tokens[i].sentenceIndex = sentenceIndex;
+                tokens[i].sentencePosition = i - sentenceStart;
+            }
+            if (end > sentenceStart && end < tokens.length) sentenceIndex++;
+            sentenceStart = end;
+        };
+
+        for (let index = 0; index < tokens.length; index++) {
+            // A new paragraph, list item or heading also starts a new sentence
+            if (index > sentenceStart && tokens[index].blockIndex !== tokens[index - 1].blockIndex) close(index);
+
+            const token = tokens[index];
+            if (token.isStructureMarker || !this.sentenceTerminators.test(token.word)) continue;
+
+            // A closing quote mark right after the terminator belongs to the sentence it closes
+            while (token.quoteIndex !== undefined && tokens[index + 1]?.isQuoteMark &&
+                tokens[index + 1].quoteIndex === token.quoteIndex) {
+                index++;
+            }
+            close(index + 1);
+        }
+
+        // Handle remaining tokens
+        close(tokens.length);
+
+        return tokens;
+    }
+
+    // ========== DOCUMENT STRUCTURE ==========
+
+    markStructure(tokens, text) {
+        if (!text) return tokens;
+
+        // Lines, grouped into paragraphs by blank lines; headings stand alone
+        const lines = [];
+        let offset = 0;
+        let paragraphIndex = -1;
+        let listItemIndex = -1;
+        let blockIndex = -1;
+        let previous = null;
+        text.split('\n').forEach(line => {
+            const start = offset;
+            offset += line.length + 1;
+            if (!line.trim()) {
+                previous = null;
+                return;
+            }
+
+            const listMarker = line.match(this.listItemPattern);
+            const blockType = this.headingPattern.test(line) ? 'heading' : (listMarker ? 'list_item' : 'text');
+            if (!previous || blockType === 'heading' || previous.blockType === 'heading') paragraphIndex++;
+            if (!previous || paragraphIndex !== previous.paragraphIndex || blockType !== 'text' || previous.blockType !== 'text') {
+                blockIndex++;
+            }
+            if (listMarker) listItemIndex++;
+
+            previous = {
+                start: start,
+                end: start + line.length,
+                markerEnd: start + (listMarker || [''])[0].length,
+                headingEnd: start + (line.match(this.headingPattern) || [''])[0].length,
+                paragraphIndex: paragraphIndex,
+                blockIndex: blockIndex,
+                blockType: blockType,
+                listItemIndex: listMarker ? listItemIndex : null
+            };
+            lines.push(previous);
+        });
+
+        let line = 0;
+        tokens.forEach(token => {
+            while (line < lines.length - 1 && token.start >= lines[line + 1].start) line++;
+            const info = lines[line];
+            if (!info) return;
+
+            token.paragraphIndex = info.paragraphIndex;
+            token.blockIndex = info.blockIndex;
+            token.blockType = info.blockType;
+            token.listItemIndex = info.listItemIndex;
+            if (token.end <= info.markerEnd || token.end <= info.headingEnd) token.isStructureMarker = true;
+        });
+
+        return this.markQuotes(tokens);
+    }
+
+    markQuotes(tokens) {
+        let open = null;
+        let quoteIndex = 0;
+
+        tokens.forEach(token => {
+            // An unclosed quotation ends with its paragraph
+            if (open && token.paragraphIndex !== open.paragraphIndex) open = null;
+
+            if (open) {
+                token.quoteIndex = open.index;
+                if (token.word === open.closer) {
+                    token.isQuoteMark = true;
+                    open = null;
+                }
+                return;
+            }
+
+            const pair = this.quotePairs.find(([opener]) => opener === token.word);
+            if (pair) {
+                open = { index: quoteIndex++, closer: pair[1], paragraphIndex: token.paragraphIndex };
+                token.quoteIndex = open.index;
+                token.isQuoteMark = true;
+            }
+        });
+
+        return tokens;
+    }
+
+    findQuotes(tokens) {
+        const quotes = [];
+        tokens.forEach(token => {
+            if (token.quoteIndex === undefined) return;
+            if (!quotes[token.quoteIndex]) {
+                quotes[token.quoteIndex] = { index: token.quoteIndex, start: token.position, end: token.position };
+            }
+            quotes[token.quoteIndex].end = token.position;
+        });
+
+        return quotes.map(quote => ({ ...quote, speaker: this.findQuoteSpeaker(tokens, quote) }));
+    }
+
+    findQuoteSpeaker(tokens, quote) {
+        const { persons } = this.agency;
+        const speakerAt = (index, via) => {
+            const token = tokens[index];
+            if (!token || token.isPunctuation) return null;
+            return { person: persons.get(token.word) || 'third', word: token.word, via: via };
+        };
+        const wordAt = index => tokens[index] && !tokens[index].isPunctuation ? tokens[index].word : null;
+
+        const skipPunctuation = (index, step) => {
+            while (tokens[index]?.isPunctuation && !this.sentenceTerminators.test(tokens[index].word)) index += step;
+            return index;
+        };
+
+        // "he said: ..." / "my mom told me ..." before the opening mark
+        const before = skipPunctuation(quote.start - 1, -1);
+        const verbBefore = [before, before - 1].find(index => this.speechVerbs.has(wordAt(index)));
+        if (verbBefore !== undefined) return speakerAt(verbBefore - 1, 'before');
+
+        // "..., she said" / "..., said my boss" after the closing mark
+        const after = skipPunctuation(quote.end + 1, 1);
+        if (this.speechVerbs.has(wordAt(after + 1))) return speakerAt(after, 'after');
+        if (this.speechVerbs.has(wordAt(after))) {
+            const next = wordAt(after + 1);
+            const hasDeterminer = this.agency.possessives[next] || this.agency.determiners.has(next);
+            return speakerAt(hasDeterminer ? after + 2 : after + 1, 'after');
+        }
+
+        return null;
+    }
+
+    words(text) {
+        return this.tokenize(text)
+            .filter(token => !token.isPunctuation)
+            .map(token => token.word);
+    }
+
+    readingWords(text) {
+        // Like words(), with contraction tails read out ("I'm" -> i am)
+        const tokens = this.tokenize(text);
+        return tokens
+            .filter(token => !token.isPunctuation)
+            .map(token => (tokens[token.position - 1]?.word === "'" && this.contractionExpansions[token.word]) || token.word);
+    }
+
+    // ========== LOOKUP ==========
+
+    lemmatize(word) {
+        return this.stem(word);
+    }
+
+    lookupMarker(word) {
+        const exact = this.wordLookup.get(word);
+        if (exact) return { key: word, marker: exact, matchedBy: 'exact' };
+
+        const formKey = this.formLookup.get(word);
+        if (formKey) return { key: formKey, marker: this.wordLookup.get(formKey), matchedBy: 'form' };
+
+        const lemmaKey = this.lemmaLookup.get(this.lemmatize(word));
+        if (lemmaKey) return { key: lemmaKey, marker: this.wordLookup.get(lemmaKey), matchedBy: 'lemma' };
+
+        return null;
+    }
+
+    matchPhraseAt(tokens, index) {
+        const candidates = this.phraseLookup.get(this.lemmatize(tokens[index].word));
+        if (!candidates) return null;
+
+        for (const candidate of candidates) {
+            const end = this.matchPhraseParts(tokens, index, candidate.parts);
+            if (end !== -1) {
+                return { key: candidate.key, marker: candidate.data, start: index, end };
+            }
+        }
+
+        return null;
+    }
+
+    matchPhraseParts(tokens, start, parts) {
+        let cursor = start + 1;
+        let end = start;
+
+        for (let p = 1; p < parts.length; p++) {
+            let matched = false;
+
+            while (cursor < tokens.length) {
+                if (this.lemmatize(tokens[cursor].word) === parts[p]) {
+                    matched = true;
+                    end = cursor++;
+                    break;
+                }
+                if (!this.isPhraseGap(tokens, cursor)) break;
+                cursor++;
+            }
+
+            if (!matched) return -1;
+        }
+
+        return end;
+    }
+
+    isPhraseGap(tokens, index) {
+        const token = tokens[index];
+
+        // Sentence terminators break a phrase, other punctuation is skipped
+        if (token.isPunctuation) return !this.sentenceTerminators.test(token.word);
+
+        return this.contractionSuffixes.has(token.word) && tokens[index - 1]?.word === "'";
+    }
+
+    // ========== CONTEXT RULES ==========
+
+    matchContextRule(tokens, start, end, key) {
+        const rules = this.contextRules.get(key);
+        if (!rules) return null;
+
+        const reach = Math.max(...rules.flatMap(rule => rule.offsets.map(o => Math.abs(o.offset))), 0);
+        const before = this.contextWords(tokens, start, -1, reach);
+        const after = this.contextWords(tokens, end, 1, reach);
+
+        return rules.find(rule => rule.offsets.every(({ offset, words }) => {
+            const word = offset < 0 ? before[-offset - 1] : after[offset - 1];
+            return word !== undefined && words.includes(word);
+        })) || null;
+    }
+
+    contextWords(tokens, from, step, count) {
+        // Nearest words first, within the sentence; modifiers and apostrophes are transparent
+        const words = [];
+        const sentenceIndex = tokens[from].sentenceIndex;
+
+        for (let i = from + step; i >= 0 && i < tokens.length && words.length < count; i += step) {
+            const token = tokens[i];
+            if (token.sentenceIndex !== sentenceIndex) break;
+            if (token.word === "'") continue;
+            if (token.isPunctuation) break;
+            if (this.modifierWords.has(token.word)) continue;
+
+            const expansion = tokens[i - 1]?.word === "'" ? this.contractionExpansions[token.word] : undefined;
+            words.push(expansion || token.word);
+        }
+
+        return words;
+    }
+
+    // ========== AGENCY ==========
+
+    detectAgency(tokens, start, end) {
+        const { persons, possessives, determiners, fillers, selfReferences } = this.agency;
+        const agentFor = (person, via, index) => ({
+            agent: person === 'first' ? 'self' : 'other',
+            person: person,
+            via: via,
+            word: index !== null ? tokens[index].word : null,
+            position: index
+        });
+
+        // Markers that name the writer themselves ("my fault", "because of me")
+        for (let i = start; i <= end; i++) {
+            const word = tokens[i].word;
+            if (persons.get(word) === 'first' || possessives[word] === 'first') return agentFor('first', 'marker', i);
+        }
+
+        // Lead-ins directly before the marker ("I'm such a failure")
+        let lead = start - 1;
+        while (lead >= 0 && (fillers.has(tokens[lead].word) || this.modifierWords.has(tokens[lead].word))) lead--;
+        for (const phrase of selfReferences) {
+            const from = lead - phrase.length + 1;
+            if (from >= 0 && phrase.every((word, k) => tokens[from + k].word === word)) {
+                return agentFor('first', 'self_reference', from);
+            }
+        }
+
+        // Otherwise the nearest subject word earlier in the clause
+        const sentenceIndex = tokens[start].sentenceIndex;
+        for (let i = start - 1; i >= 0; i--) {
+            const token = tokens[i];
+            if (token.sentenceIndex !== sentenceIndex || this.isClauseBoundary(token)) break;
+
+            if (persons.has(token.word)) return agentFor(persons.get(token.word), 'pronoun', i);
+            if (possessives[token.word]) {
+                // "my failure" is about the writer, "my project was a failure" is about the project
+                return agentFor(i === lead ? possessives[token.word] : 'third', 'possessive', i);
+            }
+            if (determiners.has(token.word)) return agentFor('third', 'noun_phrase', i);
+        }
+
+        return { agent: 'unknown', person: null, via: null, word: null, position: null };
+    }
+
+    // ========== TEMPORAL MARKERS ==========
+
+    findTemporalMarkers(tokens) {
+        const words = tokens.map((token, i) =>
+            (tokens[i - 1]?.word === "'" && this.contractionExpansions[token.word]) || token.word
+        );
+        const found = [];
+
+        tokens.forEach((token, i) => {
+            if (token.isPunctuation) return;
+            this.temporalIndex.forEach(({ orientation, marker, parts }) => {
+                if (parts.every((part, k) => words[i + k] === part)) {
+                    found.push({ orientation, marker, position: i, sentenceIndex: token.sentenceIndex });
+                }
+            });
+        });
+
+        return found;
+    }
+
+    // ========== NEGATION ==========
+
+    readNegatorEndingAt(tokens, index) {
+        // Tokenizers split "don't" into don ' t, so rebuild negative contractions from the tail
+        const contraction = this.negativeContraction;
+        if (contraction && tokens[index].word === contraction.suffix && tokens[index - 1]?.word === "'" &&
+            contraction.stemPattern.test(tokens[index - 2]?.word || '')) {
+            return { word: `${tokens[index - 2].word}'${contraction.suffix}`, start: index - 2 };
+        }
+        if (tokens[index].isPunctuation) return null;
+        return { word: tokens[index].word, start: index };
+    }
+
+    isClauseBoundary(token) {
+        if (token.isPunctuation) return !/^['"]+$/.test(token.word) && !this.quoteMarks.has(token.word);
+        return (this.negation.scope_breakers || []).includes(token.word);
+    }
+
+    getNegationScope(tokens, negatorStart, maxScope) {
+        const sentenceIndex = tokens[negatorStart].sentenceIndex;
+        let end = negatorStart;
+
+        for (let i = negatorStart + 1; i < tokens.length && i - negatorStart <= maxScope; i++) {
+            if (tokens[i].sentenceIndex !== sentenceIndex || this.isClauseBoundary(tokens[i])) break;
+            end = i;
+        }
+
+        return {
+            start: negatorStart,
+            end: end,
+            charStart: tokens[negatorStart].start,
+            charEnd: tokens[end].end
+        };
+    }
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LanguagePipeline;
+}
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.LanguagePipeline = LanguagePipeline;
+}
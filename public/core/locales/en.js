@@ -0,0 +1,80 @@
+// COGNITIVE INSIGHT ENGINE - English Language Pack
+// Text handling for English; lexicons come from the main knowledge base
+
+const LOCALE_EN = {
+  code: "en",
+  name: "English",
+  usesKnowledgeBase: true,
+
+  // Every punctuation mark is its own token, everything else runs until whitespace
+  tokenPattern: /[.,!?;:"'()[\]{}<>“”]|[^\s.,!?;:"'()[\]{}<>“”]+/g,
+  punctuationPattern: /^[.,!?;:"'()[\]{}<>“”]$/,
+  sentenceTerminators: /[.!?]/,
+  // Typographic apostrophes (iOS and macOS default) are read as ' so "don’t" splits like "don't"
+  apostrophes: ["’", "‘"],
+
+  // Opening and closing marks of quoted speech, and the verbs that introduce it
+  quotes: [['"', '"'], ['“', '”']],
+  speech_verbs: ["said", "says", "say", "told", "tells", "asked", "asks", "yelled", "shouted", "screamed",
+    "replied", "wrote", "texted", "added", "snapped", "insisted"],
+
+  contractions: {
+    // Tails split off after an apostrophe ("they'd" -> they ' d)
+    suffixes: ["s", "t", "re", "ve", "d", "ll", "m"],
+    // "don ' t" is rebuilt as "don't" for negation lookup
+    negative: { suffix: "t", stemPattern: /n$/ },
+    // Tails read as full words when matching context rules ("should've" -> should have, "shouldn't" -> shouldn not)
+    expansions: { ve: "have", ll: "will", re: "are", m: "am", d: "would", t: "not" }
+  },
+
+  // Who a marker is about: pronouns by person, and lead-ins that make the writer the subject
+  agency: {
+    first_person: ["i", "me", "myself", "we", "us", "ourselves"],
+    second_person: ["you", "yourself", "yourselves"],
+    third_person: ["he", "him", "himself", "she", "herself", "it", "itself", "they", "them", "themselves",
+      "everyone", "everybody", "someone", "somebody", "people"],
+    possessives: { my: "first", our: "first", your: "second", his: "third", her: "third", its: "third", their: "third" },
+    determiners: ["the", "this", "that", "these", "those"],
+    self_reference: ["i_am", "i'm", "i_was", "i_feel", "i_felt", "i've_been", "i_have_been", "call_myself", "called_myself"],
+    fillers: ["a", "an", "such", "so", "total", "complete", "real", "big"]
+  },
+
+  // Hedges soften a claim, boosters harden it
+  certainty: {
+    hedges: ["maybe", "perhaps", "might", "possibly", "probably", "seems", "guess", "suppose", "think",
+      "somewhat", "sometimes", "kind_of", "sort_of", "not_sure"],
+    boosters: ["definitely", "certainly", "clearly", "obviously", "surely", "undoubtedly", "always", "never",
+      "must", "absolutely", "totally", "completely", "everyone", "everything", "nothing"]
+  },
+
+  // Light suffix stripping; irregular forms come from the lexicon's `forms` lists
+  lemmatize(word) {
+    if (!word || word.length <= 3 || !/^[a-z]+$/.test(word)) return word;
+
+    let stem = word;
+    if (stem.endsWith("ies") && stem.length > 4) {
+      stem = stem.slice(0, -3) + "y";
+    } else if (stem.endsWith("s") && !/(ss|us|is)$/.test(stem)) {
+      stem = stem.slice(0, -1);
+    }
+
+    if (stem.endsWith("ied")) {
+      stem = stem.slice(0, -3) + "y";
+    } else if (stem.endsWith("ed") && stem.length > 4) {
+      stem = stem.slice(0, -2);
+    } else if (stem.endsWith("ing") && stem.length > 5) {
+      stem = stem.slice(0, -3);
+    }
+
+    // "stopped" -> "stop", "failure" -> "failur"
+    if (/([b-df-hj-kmnp-rt-z])\1$/.test(stem)) stem = stem.slice(0, -1);
+    if (stem.endsWith("e") && stem.length > 4) stem = stem.slice(0, -1);
+
+    return stem;
+  }
+};
+
+// Export for module system
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LOCALE_EN;
+}
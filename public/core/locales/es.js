@@ -0,0 +1,414 @@
+// COGNITIVE INSIGHT ENGINE - Spanish Language Pack
+// Reference locale: Spanish markers scored against the shared pattern/driver taxonomy
+
+const LOCALE_ES = {
+  code: "es",
+  name: "Español",
+
+  tokenPattern: /[.,!?;:"'()[\]{}<>¿¡«»“”…—]|[^\s.,!?;:"'()[\]{}<>¿¡«»“”…—]+/g,
+  punctuationPattern: /^[.,!?;:"'()[\]{}<>¿¡«»“”…—]$/,
+  sentenceTerminators: /[.!?…]/,
+
+  quotes: [['«', '»'], ['"', '"'], ['“', '”']],
+  speech_verbs: ["dijo", "dice", "dijeron", "dicen", "dije", "preguntó", "gritó", "respondió", "contestó",
+    "escribió", "insistió", "añadió"],
+
+  // Spanish drops subject pronouns, so conjugated copulas stand in for them
+  agency: {
+    first_person: ["yo", "me", "mí", "conmigo", "nosotros", "nosotras", "nos"],
+    second_person: ["tú", "te", "ti", "contigo", "usted", "ustedes", "vosotros", "vosotras"],
+    third_person: ["él", "ella", "ellos", "ellas", "le", "les", "es", "fue", "son", "fueron"],
+    possessives: { mi: "first", mis: "first", nuestro: "first", nuestra: "first", tu: "second", tus: "second", su: "third", sus: "third" },
+    determiners: ["el", "la", "los", "las", "este", "esta", "ese", "esa", "eso", "esto"],
+    self_reference: ["soy", "era_yo", "fui", "me_siento", "me_sentí", "me_considero"],
+    fillers: ["un", "una", "tan", "todo", "toda", "completo", "total"]
+  },
+
+  certainty: {
+    hedges: ["quizás", "quizá", "tal_vez", "posiblemente", "probablemente", "parece", "creo", "supongo",
+      "a_veces", "podría", "no_sé"],
+    boosters: ["definitivamente", "claramente", "obviamente", "seguramente", "siempre", "nunca", "jamás",
+      "absolutamente", "totalmente", "completamente", "todo", "nada"]
+  },
+
+  // Accent-insensitive plural and gender folding ("fracasadas" -> "fracasad")
+  lemmatize(word) {
+    if (!word || word.length <= 3) return word;
+
+    let stem = word.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+    if (/[^aeiou]es$/.test(stem) && stem.length > 5) {
+      stem = stem.slice(0, -2);
+    } else if (stem.endsWith("s")) {
+      stem = stem.slice(0, -1);
+    }
+    if (/[oa]$/.test(stem) && stem.length > 3) stem = stem.slice(0, -1);
+
+    return stem;
+  },
+
+  // ========== LEXICON ==========
+  lexicon: {
+    // === ABSOLUTIST THINKING ===
+    "siempre": {
+      category: "absolutist",
+      subcategory: "temporal_absolutism",
+      weight: 2.5,
+      intensity: "high",
+      contradicts: ["a_veces", "ocasionalmente"],
+      reinforces: ["nunca", "todo"],
+      emotional_valence: -0.3,
+      clinical_note: "Rigid temporal generalization"
+    },
+
+    "nunca": {
+      category: "absolutist",
+      subcategory: "temporal_absolutism",
+      weight: 2.5,
+      intensity: "high",
+      forms: ["jamás"],
+      contradicts: ["a_veces", "ocasionalmente"],
+      reinforces: ["siempre", "nada"],
+      emotional_valence: -0.4,
+      clinical_note: "Pessimistic universal negation"
+    },
+
+    "todo": {
+      category: "absolutist",
+      subcategory: "binary_thinking",
+      weight: 2.2,
+      intensity: "high",
+      forms: ["toda", "todos", "todas"],
+      reinforces: ["nada", "completamente"],
+      emotional_valence: -0.2,
+      clinical_note: "Overgeneralization tendency"
+    },
+
+    "nada": {
+      category: "absolutist",
+      subcategory: "binary_thinking",
+      weight: 2.4,
+      intensity: "high",
+      reinforces: ["todo"],
+      emotional_valence: -0.5,
+      clinical_note: "Hopelessness indicator"
+    },
+
+    // === IMPERATIVE/CONTROL ===
+    "debería": {
+      category: "imperative",
+      subcategory: "self_imperative",
+      weight: 3.0,
+      intensity: "moderate",
+      forms: ["deberías", "debo", "debes", "debe", "debemos", "deberíamos", "debí"],
+      emotional_valence: -0.6,
+      clinical_note: "Internalized expectations"
+    },
+
+    "debería_haber": {
+      category: "imperative",
+      subcategory: "regret_focus",
+      weight: 5.0,
+      intensity: "high",
+      forms: ["debí_haber", "tendría_que_haber"],
+      emotional_valence: -0.7,
+      clinical_note: "Regret-focused imperative"
+    },
+
+    "tengo_que": {
+      category: "imperative",
+      subcategory: "self_imperative",
+      weight: 2.8,
+      intensity: "moderate",
+      forms: ["tenía_que", "tuve_que", "hay_que"],
+      emotional_valence: -0.5,
+      clinical_note: "Perceived obligations"
+    },
+
+    // === CATASTROPHIZING ===
+    "desastre": {
+      category: "catastrophizing",
+      weight: 4.0,
+      intensity: "high",
+      reinforces: ["terrible", "peor"],
+      emotional_valence: -0.9,
+      clinical_note: "Extreme negative forecasting"
+    },
+
+    "catástrofe": {
+      category: "catastrophizing",
+      weight: 4.0,
+      intensity: "high",
+      forms: ["catastrófico", "catastrófica"],
+      reinforces: ["desastre", "arruinado"],
+      emotional_valence: -0.9,
+      clinical_note: "Extreme negative forecasting"
+    },
+
+    "terrible": {
+      category: "catastrophizing",
+      weight: 3.2,
+      intensity: "high",
+      forms: ["horrible", "espantoso"],
+      reinforces: ["desastre", "peor"],
+      emotional_valence: -0.8,
+      clinical_note: "Magnified negative appraisal"
+    },
+
+    "peor": {
+      category: "catastrophizing",
+      weight: 3.5,
+      intensity: "high",
+      forms: ["lo_peor"],
+      emotional_valence: -0.7,
+      clinical_note: "Comparative extreme thinking"
+    },
+
+    "arruinado": {
+      category: "catastrophizing",
+      weight: 3.4,
+      intensity: "high",
+      forms: ["arruinar", "arruina", "arruiné", "arruinó"],
+      reinforces: ["desastre", "catástrofe"],
+      emotional_valence: -0.8,
+      clinical_note: "Irreversible damage appraisal"
+    },
+
+    // === SELF-CRITICISM ===
+    "fracaso": {
+      category: "self_critic",
+      weight: 3.8,
+      intensity: "high",
+      forms: ["fracasado", "fracasar", "fracasé", "fracasó"],
+      reinforces: ["inútil", "estúpido"],
+      emotional_valence: -0.8,
+      clinical_note: "Global negative self-assessment"
+    },
+
+    "estúpido": {
+      category: "self_critic",
+      weight: 3.0,
+      intensity: "moderate",
+      forms: ["tonto", "idiota"],
+      reinforces: ["fracaso", "inútil"],
+      emotional_valence: -0.7,
+      clinical_note: "Cognitive self-criticism"
+    },
+
+    "inútil": {
+      category: "self_critic",
+      weight: 3.5,
+      intensity: "high",
+      forms: ["inútiles"],
+      reinforces: ["fracaso"],
+      emotional_valence: -0.8,
+      clinical_note: "Worth-based self-criticism"
+    },
+
+    // === PERSONALIZATION ===
+    "mi_culpa": {
+      category: "personalization",
+      weight: 4.0,
+      intensity: "high",
+      requires_agency: true,
+      forms: ["culpa_mía"],
+      emotional_valence: -0.7,
+      clinical_note: "Excessive self-blame attribution"
+    },
+
+    "por_mi_culpa": {
+      category: "personalization",
+      weight: 3.5,
+      intensity: "moderate",
+      requires_agency: true,
+      forms: ["fue_por_mí"],
+      emotional_valence: -0.6,
+      clinical_note: "Causal self-attribution"
+    },
+
+    // === MIND READING ===
+    "piensan_que": {
+      category: "mind_reading",
+      weight: 2.5,
+      intensity: "moderate",
+      forms: ["creen_que", "piensa_que", "cree_que"],
+      emotional_valence: -0.4,
+      clinical_note: "Assuming others' thoughts"
+    },
+
+    "seguro_piensa": {
+      category: "mind_reading",
+      weight: 2.2,
+      intensity: "moderate",
+      forms: ["probablemente_piensa", "seguramente_piensa"],
+      emotional_valence: -0.3,
+      clinical_note: "Speculative mind reading"
+    },
+
+    // === EMOTIONAL REASONING ===
+    "siento_que": {
+      category: "emotional_reasoning",
+      weight: 2.0,
+      intensity: "low",
+      requires_agency: true,
+      forms: ["sentí_que", "me_siento_como"],
+      emotional_valence: -0.2,
+      clinical_note: "Emotion-as-evidence thinking"
+    },
+
+    // === HYPER-INDEPENDENCE ===
+    "no_necesito_a_nadie": {
+      category: "hyper_independence",
+      weight: 3.0,
+      intensity: "high",
+      forms: ["no_necesito_ayuda"],
+      emotional_valence: -0.4,
+      clinical_note: "Denial of dependency needs"
+    },
+
+    "por_mi_cuenta": {
+      category: "hyper_independence",
+      weight: 2.0,
+      intensity: "moderate",
+      forms: ["yo_solo", "yo_sola"],
+      emotional_valence: -0.2,
+      clinical_note: "Solitary coping"
+    },
+
+    "nadie_me_dice": {
+      category: "hyper_independence",
+      weight: 3.0,
+      intensity: "high",
+      emotional_valence: -0.5,
+      clinical_note: "Reactance to outside influence"
+    },
+
+    // === ADAPTIVE COUNTER-PATTERNS ===
+    "perdonarme": {
+      category: "self_compassion",
+      weight: 2.5,
+      intensity: "moderate",
+      forms: ["me_perdono", "me_perdoné"],
+      contradicts: ["fracaso", "estúpido", "inútil"],
+      emotional_valence: 0.6,
+      clinical_note: "Self-forgiveness after a mistake"
+    },
+
+    "hice_lo_que_pude": {
+      category: "self_compassion",
+      weight: 2.0,
+      intensity: "moderate",
+      forms: ["hago_lo_que_puedo"],
+      emotional_valence: 0.5,
+      clinical_note: "Effort valued over outcome"
+    },
+
+    "por_otro_lado": {
+      category: "flexible_thinking",
+      weight: 2.0,
+      intensity: "moderate",
+      emotional_valence: 0.2,
+      clinical_note: "Weighing a second perspective"
+    },
+
+    "pase_lo_que_pase": {
+      category: "uncertainty_tolerance",
+      weight: 2.0,
+      intensity: "moderate",
+      contradicts: ["desastre", "catástrofe", "peor"],
+      emotional_valence: 0.3,
+      clinical_note: "Acceptance of open outcomes"
+    },
+
+    "paso_a_paso": {
+      category: "uncertainty_tolerance",
+      weight: 2.2,
+      intensity: "moderate",
+      emotional_valence: 0.4,
+      clinical_note: "Present-focused coping"
+    },
+
+    "fuera_de_mi_control": {
+      category: "externalization",
+      weight: 2.5,
+      intensity: "moderate",
+      contradicts: ["mi_culpa", "por_mi_culpa"],
+      emotional_valence: 0.1,
+      clinical_note: "Realistic limits of personal influence"
+    },
+
+    "a_veces": {
+      category: "gradient_thinking",
+      subcategory: "temporal_gradient",
+      weight: 1.5,
+      intensity: "low",
+      forms: ["ocasionalmente"],
+      contradicts: ["siempre", "nunca"],
+      emotional_valence: 0.1,
+      clinical_note: "Frequency in place of absolutes"
+    },
+
+    "en_parte": {
+      category: "gradient_thinking",
+      subcategory: "partial_attribution",
+      weight: 1.5,
+      intensity: "low",
+      forms: ["parcialmente"],
+      contradicts: ["todo", "nada"],
+      emotional_valence: 0.1,
+      clinical_note: "Degrees in place of all-or-nothing"
+    }
+  },
+
+  // ========== TEMPORAL & INTENSITY MARKERS ==========
+  temporal_markers: {
+    past_focus: {
+      words: ["era", "fue", "tenía", "había", "antes", "anteriormente", "pasado"]
+    },
+    present_focus: {
+      words: ["es", "estoy", "soy", "ahora", "actualmente", "hoy"]
+    },
+    future_focus: {
+      words: ["será", "voy_a", "podría", "futuro", "mañana", "después"]
+    }
+  },
+
+  amplifiers: {
+    extreme: ["muy", "extremadamente", "completamente", "totalmente", "absolutamente", "tan"],
+    moderate: ["bastante", "realmente", "especialmente", "particularmente"],
+    emotional: ["terriblemente", "horriblemente", "espantosamente"]
+  },
+
+  diminishers: {
+    uncertainty: ["quizás", "quizá", "acaso", "algo", "ligeramente", "posiblemente"],
+    qualification: ["casi", "prácticamente", "virtualmente"],
+    minimization: ["solo", "sólo", "solamente", "simplemente", "meramente"]
+  },
+
+  // ========== NEGATION PATTERNS ==========
+  negation_patterns: {
+    hard_negation: ["no", "nunca", "jamás", "tampoco", "ni", "sin"],
+    soft_negation: ["apenas", "difícilmente", "raramente"],
+    conditional_negation: ["salvo", "excepto"],
+    scope_breakers: ["pero", "sino", "aunque", "mientras", "porque", "pues"],
+    max_scope: 8
+  },
+
+  // ========== SENTIMENT ==========
+  sentiment: {
+    // Positive words
+    "bueno": 0.7, "buena": 0.7, "genial": 0.8, "excelente": 0.9, "feliz": 0.8, "alegría": 0.9,
+    "amor": 0.9, "gusta": 0.6, "disfruto": 0.7, "maravilloso": 0.8, "fantástico": 0.9,
+    "increíble": 0.9, "perfecto": 0.8, "hermoso": 0.7,
+
+    // Negative words
+    "malo": -0.7, "mala": -0.7, "terrible": -0.9, "horrible": -0.9, "espantoso": -0.8,
+    "triste": -0.8, "enojado": -0.7, "odio": -0.9, "dolor": -0.8, "herido": -0.7,
+    "fracaso": -0.8, "estúpido": -0.6, "inútil": -0.7, "peor": -0.9, "desastre": -0.9,
+    "arruinado": -0.8, "desesperanza": -0.7
+  }
+};
+
+// Export for module system
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LOCALE_ES;
+}
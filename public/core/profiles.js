@@ -0,0 +1,311 @@
+// COGNITIVE INSIGHT ENGINE - Analysis Profiles
+// Every tunable threshold and weight, with its range, and the named profiles built from them
+
+const ANALYSIS_PROFILES = {
+  // ========== CONFIG KEYS ==========
+  keys: {
+    // === PARSING ===
+    contextWindow: {
+      type: "integer", default: 5, min: 1, max: 20,
+      description: "Tokens either side of a marker kept as its context"
+    },
+    temporalSegments: {
+      type: "integer", default: 3, min: 2, max: 20,
+      description: "Parts the text is divided into for temporal analysis; fewer are used when the text has fewer tokens, sentences or paragraphs"
+    },
+    temporalSegmentation: {
+      type: "enum", default: "tokens", values: ["tokens", "sentences", "paragraphs"],
+      description: "Unit temporal segments are cut along: equal token counts, or whole sentences or paragraphs"
+    },
+    hitThreshold: {
+      type: "number", default: 0.3, min: 0, max: 10,
+      description: "Adjusted weight a matched marker must exceed to be reported as a hit"
+    },
+    weightFloor: {
+      type: "number", default: 0.1, min: 0, max: 1,
+      description: "Lowest adjusted weight negation and modifiers can damp a matched marker to"
+    },
+
+    // === NEGATION ===
+    hardNegationStrength: {
+      type: "number", default: 1.0, min: 0, max: 1,
+      description: "Share of a marker's weight removed by a hard negator (not, never)"
+    },
+    softNegationStrength: {
+      type: "number", default: 0.6, min: 0, max: 1,
+      description: "Share of a marker's weight removed by a soft negator (hardly, barely)"
+    },
+    conditionalNegationStrength: {
+      type: "number", default: 0.3, min: 0, max: 1,
+      description: "Share of a marker's weight removed by a conditional negator (unless, except)"
+    },
+    negationDecayDistance: {
+      type: "number", default: 6, min: 1, max: 20,
+      description: "Tokens over which a negator's effect fades out"
+    },
+    negationMinEffect: {
+      type: "number", default: 0.3, min: 0, max: 1,
+      description: "Share of a negator's strength that remains however far away it is"
+    },
+    negatedPatternFactor: {
+      type: "number", default: 0.5, min: 0, max: 1,
+      description: "Share of a negated hit's weight that counts toward its pattern score"
+    },
+
+    // === MODIFIERS ===
+    modifierReach: {
+      type: "integer", default: 3, min: 1, max: 10,
+      description: "Tokens before a marker searched for amplifiers and diminishers"
+    },
+    modifierDistanceDecay: {
+      type: "number", default: 0.2, min: 0, max: 1,
+      description: "Modifier effect lost per token of distance from the marker"
+    },
+    modifierMinDistanceWeight: {
+      type: "number", default: 0.5, min: 0, max: 1,
+      description: "Share of a modifier's effect that remains however far away it is"
+    },
+    extremeAmplifierBoost: {
+      type: "number", default: 0.5, min: 0, max: 2,
+      description: "Multiplier increase from an extreme amplifier (extremely, totally)"
+    },
+    moderateAmplifierBoost: {
+      type: "number", default: 0.3, min: 0, max: 2,
+      description: "Multiplier increase from a moderate amplifier (really, quite)"
+    },
+    emotionalAmplifierBoost: {
+      type: "number", default: 0.4, min: 0, max: 2,
+      description: "Multiplier increase from an emotional amplifier (horribly, terribly)"
+    },
+    uncertaintyDiminisherCut: {
+      type: "number", default: 0.4, min: 0, max: 2,
+      description: "Multiplier decrease from an uncertainty diminisher (maybe, slightly)"
+    },
+    qualificationDiminisherCut: {
+      type: "number", default: 0.3, min: 0, max: 2,
+      description: "Multiplier decrease from a qualification diminisher (almost, nearly)"
+    },
+    minimizationDiminisherCut: {
+      type: "number", default: 0.2, min: 0, max: 2,
+      description: "Multiplier decrease from a minimization diminisher (just, only)"
+    },
+    modifierConflictDamping: {
+      type: "number", default: 0.2, min: 0, max: 1,
+      description: "Multiplier reduction per amplifier/diminisher pair around the same marker"
+    },
+    modifierMultiplierMin: {
+      type: "number", default: 0.1, min: 0, max: 1,
+      description: "Lower bound of the combined modifier multiplier"
+    },
+    modifierMultiplierMax: {
+      type: "number", default: 3.0, min: 1, max: 10,
+      description: "Upper bound of the combined modifier multiplier"
+    },
+
+    // === ATTRIBUTION & REINFORCEMENT ===
+    agencyWeights: {
+      type: "weights", default: { first: 1.0, second: 0.5, third: 0, unknown: 1.0 },
+      description: "Multiplier for requires_agency markers by the person they are about; 0 drops the hit"
+    },
+    quotedSpeechWeights: {
+      type: "weights", default: { self: 1.0, other: 0.25, unknown: 0.5 },
+      description: "Multiplier for markers inside quoted speech by who is quoted: the writer, someone else, or no clear speaker"
+    },
+    reinforcementBoost: {
+      type: "number", default: 0.15, min: 0, max: 1,
+      description: "Weight increase per reinforcing marker in the same sentence or cluster"
+    },
+    reinforcementMaxMultiplier: {
+      type: "number", default: 1.6, min: 1, max: 5,
+      description: "Cap on the reinforcement multiplier"
+    },
+
+    // === CLUSTERS ===
+    clusterDistance: {
+      type: "integer", default: 5, min: 1, max: 50,
+      description: "Largest token gap between consecutive markers of one cluster"
+    },
+    minClusterSize: {
+      type: "integer", default: 2, min: 2, max: 20,
+      description: "Markers needed to form a cluster"
+    },
+
+    // === PATTERN CONFIDENCE ===
+    confidenceWeights: {
+      type: "weights", sum: 1,
+      default: { count: 0.25, weight: 0.25, distribution: 0.2, cluster: 0.2, negation: 0.1 },
+      description: "Blend of the factors behind a pattern's confidence; must sum to 1"
+    },
+    minConfidence: {
+      type: "number", default: 0.3, min: 0, max: 1,
+      description: "Confidence a pattern needs to be reported as the primary pattern"
+    },
+    confidenceFullCount: {
+      type: "integer", default: 5, min: 1, max: 50,
+      description: "Markers at which a pattern's count factor reaches 1"
+    },
+    confidenceFullWeight: {
+      type: "number", default: 5, min: 0.5, max: 20,
+      description: "Average marker weight at which a pattern's weight factor reaches 1"
+    },
+    fullClusterCount: {
+      type: "integer", default: 3, min: 1, max: 20,
+      description: "Clusters at which the cluster part of a pattern's confidence and intensity reaches 1"
+    },
+    distributionSingleScore: {
+      type: "number", default: 0.5, min: 0, max: 1,
+      description: "Distribution factor of a pattern with a single marker"
+    },
+    distributionScores: {
+      type: "weights", default: { clustered: 0.3, spread: 0.7 },
+      description: "Distribution factor for a pattern whose markers are clustered, and for one whose markers are spread out"
+    },
+    distributionClusterVariance: {
+      type: "number", default: 0.5, min: 0, max: 5,
+      description: "Gap variance, as a share of the evenly spaced gap, below which a pattern's markers count as clustered"
+    },
+
+    // === PATTERN INTENSITY ===
+    intensityWeights: {
+      type: "weights", sum: 1,
+      default: { weight: 0.4, count: 0.3, valence: 0.2, cluster: 0.1 },
+      description: "Blend of the factors behind a pattern's intensity; must sum to 1"
+    },
+    intensityFullWeight: {
+      type: "number", default: 20, min: 1, max: 100,
+      description: "Weighted score at which the weight part of a pattern's intensity reaches 1"
+    },
+    intensityFullCount: {
+      type: "integer", default: 10, min: 1, max: 100,
+      description: "Markers at which the count part of a pattern's intensity reaches 1"
+    },
+
+    // === DRIVERS ===
+    driverScoreScale: {
+      type: "number", default: 5, min: 0.5, max: 50,
+      description: "Weighted score per point of a driver's 0-10 normalized score"
+    },
+    driverIntensityFullWeight: {
+      type: "number", default: 30, min: 1, max: 200,
+      description: "Weighted score at which the contribution part of a driver's intensity reaches 1"
+    },
+    driverIntensityWeights: {
+      type: "weights", sum: 1,
+      default: { contribution: 0.6, patterns: 0.4 },
+      description: "Blend of a driver's own weight and its patterns' intensity in the driver's intensity; must sum to 1"
+    },
+    driverPrimaryCutoff: {
+      type: "number", default: 5, min: 0, max: 10,
+      description: "Normalized score from which a driver is flagged as primary"
+    },
+    driverInsightCutoff: {
+      type: "number", default: 4, min: 0, max: 10,
+      description: "Normalized score a driver needs to produce an insight"
+    },
+    driverConflictCutoff: {
+      type: "number", default: 3, min: 0, max: 10,
+      description: "Normalized score both drivers need before their conflict is reported"
+    },
+
+    // === TEMPORAL ===
+    temporalShiftMinChange: {
+      type: "number", default: 1, min: 0, max: 20,
+      description: "Change in a pattern's weight between neighbouring segments needed to report a temporal shift"
+    },
+
+    // === CONFLICTS ===
+    selfNegationMinWeight: {
+      type: "number", default: 2, min: 0, max: 10,
+      description: "Base weight a hard-negated marker needs to count as a self-negation conflict"
+    },
+    contradictionWindow: {
+      type: "integer", default: 10, min: 1, max: 50,
+      description: "Following hits checked for a lexical contradiction"
+    },
+    contradictionDecay: {
+      type: "number", default: 20, min: 1, max: 100,
+      description: "Token distance at which a lexical contradiction stops counting"
+    },
+    patternConflictMinConfidence: {
+      type: "number", default: 0.5, min: 0, max: 1,
+      description: "Confidence both patterns need before their conflict is reported"
+    },
+
+    // === SENTIMENT ===
+    markerSentimentWeight: {
+      type: "number", default: 0.7, min: 0, max: 1,
+      description: "Share of combined sentiment taken from marker valence; the rest comes from word sentiment"
+    },
+    sentimentPolarityCutoff: {
+      type: "number", default: 0.3, min: 0, max: 1,
+      description: "Average word sentiment beyond which text reads as positive or negative"
+    },
+    sentimentMixedCutoff: {
+      type: "number", default: 0.1, min: 0, max: 1,
+      description: "Average word sentiment beyond which text reads as mixed rather than neutral"
+    },
+    sentimentInsightCutoff: {
+      type: "number", default: 0.2, min: 0, max: 1,
+      description: "Sentiment intensity needed for a sentiment insight"
+    },
+
+    // === SENTENCES ===
+    hotspotMinDistortion: {
+      type: "number", default: 3, min: 0, max: 10,
+      description: "Distortion score a sentence needs to be reported as a hotspot"
+    }
+  },
+
+  // ========== PROFILES ==========
+  profiles: {
+    balanced: {
+      description: "Default thresholds for general reflective writing",
+      settings: {}
+    },
+
+    strict: {
+      description: "Fewer, better-supported findings; for screening where false positives are costly",
+      settings: {
+        hitThreshold: 0.8,
+        softNegationStrength: 0.7,
+        agencyWeights: { second: 0.3, unknown: 0.8 },
+        quotedSpeechWeights: { other: 0.1, unknown: 0.3 },
+        reinforcementBoost: 0.1,
+        clusterDistance: 3,
+        minClusterSize: 3,
+        minConfidence: 0.45,
+        driverPrimaryCutoff: 6,
+        driverInsightCutoff: 5,
+        driverConflictCutoff: 4,
+        selfNegationMinWeight: 3,
+        sentimentInsightCutoff: 0.3,
+        hotspotMinDistortion: 4
+      }
+    },
+
+    sensitive: {
+      description: "Surfaces weaker and more tentative signals; for exploratory review",
+      settings: {
+        hitThreshold: 0.15,
+        negationMinEffect: 0.2,
+        agencyWeights: { second: 0.7, third: 0.2 },
+        quotedSpeechWeights: { other: 0.5, unknown: 0.75 },
+        reinforcementBoost: 0.2,
+        reinforcementMaxMultiplier: 2.0,
+        clusterDistance: 8,
+        minConfidence: 0.2,
+        driverPrimaryCutoff: 4,
+        driverInsightCutoff: 3,
+        driverConflictCutoff: 2,
+        selfNegationMinWeight: 1.5,
+        sentimentInsightCutoff: 0.1,
+        hotspotMinDistortion: 2
+      }
+    }
+  }
+};
+
+// Export for module system
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ANALYSIS_PROFILES;
+}
@@ -2,25 +2,105 @@
 // Version 3.0 - Tracks language evolution across text segments
 
 class TemporalAnalyzer {
-    constructor(knowledgeBase) {
+    constructor(knowledgeBase, options = {}) {
         this.kb = knowledgeBase;
-        this.segments = 3; // beginning, middle, end
+        this.segments = options.segments || 3;
     }
 
-    analyzeTemporalFlow(text, hits) {
+    // ========== SEGMENTATION ==========
+
+    // Contiguous token ranges; sentence and paragraph modes only cut between whole units
+    static segmentTokens(tokens, count = 3, mode = 'tokens', text = '') {
+        if (mode === 'tokens') {
+            // Never more segments than tokens, so no segment is empty
+            const parts = Math.max(1, Math.min(count, tokens.length));
+            const ranges = Array.from({ length: parts }, (_, index) => ({
+                start: Math.ceil(index * tokens.length / parts),
+                end: Math.ceil((index + 1) * tokens.length / parts)
+            }));
+            return TemporalAnalyzer.describeSegments(ranges, tokens);
+        }
+        
+        const locateParagraph = TemporalAnalyzer.paragraphLocator(text);
+        const unitOf = mode === 'sentences' ?
+            token => token.sentenceIndex || 0 :
+            token => token.paragraphIndex ?? locateParagraph(token);
+        const units = [];
+        tokens.forEach((token, index) => {
+            const unit = unitOf(token);
+            if (units.length === 0 || units[units.length - 1].unit !== unit) {
+                units.push({ unit, start: index, end: index + 1 });
+            } else {
+                units[units.length - 1].end = index + 1;
+            }
+        });
+        
+        // More units than segments: each unit joins the segment its midpoint falls in
+        const groups = Array.from({ length: Math.min(count, units.length) }, () => null);
+        units.forEach(unit => {
+            const slot = units.length <= count ?
+                units.indexOf(unit) :
+                Math.min(count - 1, Math.floor(((unit.start + unit.end) / 2) * count / tokens.length));
+            groups[slot] = groups[slot] ?
+                { start: groups[slot].start, end: unit.end } :
+                { start: unit.start, end: unit.end };
+        });
+        
+        return TemporalAnalyzer.describeSegments(groups.filter(Boolean), tokens);
+    }
+
+    static paragraphLocator(text) {
+        const breaks = [...text.matchAll(/\n\s*\n/g)].map(match => match.index);
+        return token => breaks.filter(offset => offset < token.start).length;
+    }
+
+    static describeSegments(ranges, tokens = []) {
+        return ranges.map((range, index) => {
+            const position = (index + 0.5) / ranges.length;
+            return {
+                index: index,
+                id: `segment-${index}`,
+                label: `Part ${index + 1}`,
+                phase: position < 1 / 3 ? "early" : (position < 2 / 3 ? "middle" : "late"),
+                start: range.start,
+                end: range.end,
+                tokenCount: range.end - range.start,
+                charStart: tokens[range.start]?.start ?? null,
+                charEnd: tokens[range.end - 1]?.end ?? null
+            };
+        });
+    }
+
+    static getSegmentForPosition(position, segments) {
+        return segments.find(segment => position >= segment.start && position < segment.end) ||
+            segments[segments.length - 1];
+    }
+
+    // ========== FLOW ANALYSIS ==========
+
+    analyzeTemporalFlow(text, hits, layout = null) {
         const tokens = text.toLowerCase().split(/\s+/);
-        const segmentLength = Math.ceil(tokens.length / this.segments);
+        layout = layout || TemporalAnalyzer.segmentTokens(tokens, this.segments);
         
-        // Initialize segment data
-        const segments = {
-            early: { tokens: 0, markers: [], patterns: {}, emotionalValence: [] },
-            middle: { tokens: 0, markers: [], patterns: {}, emotionalValence: [] },
-            late: { tokens: 0, markers: [], patterns: {}, emotionalValence: [] }
-        };
+        // Initialize segment data, in reading order
+        const segments = {};
+        layout.forEach(segment => {
+            segments[segment.id] = {
+                index: segment.index,
+                label: segment.label,
+                phase: segment.phase,
+                tokenCount: segment.tokenCount,
+                markers: [],
+                patterns: {},
+                emotionalValence: []
+            };
+        });
         
-        // Categorize hits by segment
+        // Categorize hits by segment; engine hits already carry theirs
         hits.forEach(hit => {
-            const segment = this.getSegmentFromPosition(hit.position, tokens.length);
+            const segment = segments[hit.temporalSegment] ?
+                hit.temporalSegment :
+                TemporalAnalyzer.getSegmentForPosition(hit.position, layout).id;
             segments[segment].markers.push(hit);
             
             // Track pattern by segment
@@ -45,9 +125,8 @@ class TemporalAnalyzer {
         // Calculate metrics per segment
         Object.keys(segments).forEach(segment => {
             const seg = segments[segment];
-            seg.tokenCount = Math.ceil(tokens.length / this.segments);
             seg.markerCount = seg.markers.length;
-            seg.markerDensity = seg.markerCount / seg.tokenCount;
+            seg.markerDensity = seg.tokenCount > 0 ? seg.markerCount / seg.tokenCount : 0;
             
             // Average emotional valence
             seg.avgValence = seg.emotionalValence.length > 0 
@@ -69,27 +148,43 @@ class TemporalAnalyzer {
         // Analyze shifts between segments
         const shifts = this.analyzeSegmentShifts(segments);
         const narrativeArc = this.calculateNarrativeArc(segments);
+        const trajectories = this.calculateTrajectories(segments);
         const coherence = this.calculateTemporalCoherence(segments);
         
         return {
             segments,
             shifts,
             narrativeArc,
+            trajectories,
             coherence,
             summary: this.generateTemporalSummary(segments, shifts)
         };
     }
 
-    getSegmentFromPosition(position, totalLength) {
-        const segmentSize = totalLength / this.segments;
-        if (position < segmentSize) return "early";
-        if (position < segmentSize * 2) return "middle";
-        return "late";
+    // Arcs and trajectories from the engine's per-segment pattern weights ({ segmentId: { pattern: weight } })
+    analyzeDistribution(distribution, layout) {
+        const segments = {};
+        layout.forEach(segment => {
+            const weights = distribution[segment.id] || {};
+            segments[segment.id] = {
+                index: segment.index,
+                label: segment.label,
+                phase: segment.phase,
+                patterns: Object.fromEntries(
+                    Object.entries(weights).map(([pattern, weight]) => [pattern, { weight }])
+                )
+            };
+        });
+        
+        return {
+            arc: this.calculateNarrativeArc(segments),
+            trajectories: this.calculateTrajectories(segments)
+        };
     }
 
     analyzeSegmentShifts(segments) {
         const shifts = [];
-        const segmentKeys = ["early", "middle", "late"];
+        const segmentKeys = Object.keys(segments);
         
         // Analyze pattern emergence and disappearance
         const allPatterns = new Set();
@@ -156,7 +251,7 @@ class TemporalAnalyzer {
 
     calculateNarrativeArc(segments) {
         const arc = {};
-        const segmentKeys = ["early", "middle", "late"];
+        const segmentKeys = Object.keys(segments);
         
         // For each pattern, determine its arc
         const allPatterns = new Set();
@@ -164,36 +259,53 @@ class TemporalAnalyzer {
             Object.keys(segments[seg].patterns).forEach(p => allPatterns.add(p));
         });
         
+        // One arc per pattern; trends live in the trajectories
         allPatterns.forEach(pattern => {
             const weights = segmentKeys.map(seg => segments[seg].patterns[pattern]?.weight || 0);
-            
-            // Determine arc type
-            if (weights[0] < weights[1] && weights[1] > weights[2]) {
-                arc[pattern] = "climactic"; // Peaks in middle
-            } else if (weights[0] > weights[1] && weights[1] > weights[2]) {
-                arc[pattern] = "resolving"; // Decreases over time
-            } else if (weights[0] < weights[1] && weights[1] < weights[2]) {
-                arc[pattern] = "building"; // Increases over time
-            } else if (weights[0] > weights[1] && weights[1] < weights[2]) {
-                arc[pattern] = "dip_recovery"; // U-shaped
-            } else if (weights[0] < weights[1] && weights[1] > weights[2] && weights[2] > 0) {
-                arc[pattern] = "plateau"; // Peaks then maintains
-            } else {
-                arc[pattern] = "irregular";
-            }
-            
-            // Calculate intensity trend
-            const trend = weights[2] - weights[0];
-            arc[`${pattern}_trend`] = trend > 0 ? "increasing" : trend < 0 ? "decreasing" : "stable";
+            arc[pattern] = this.classifyArc(weights);
         });
         
         return arc;
     }
 
+    calculateTrajectories(segments) {
+        const allPatterns = new Set();
+        Object.values(segments).forEach(seg => {
+            Object.keys(seg.patterns).forEach(p => allPatterns.add(p));
+        });
+        
+        const trajectories = {};
+        allPatterns.forEach(pattern => {
+            trajectories[pattern] = this.getPatternTrajectory(pattern, segments);
+        });
+        return trajectories;
+    }
+
+    classifyArc(weights) {
+        if (weights.length < 2) return "irregular";
+        
+        const first = weights[0];
+        const last = weights[weights.length - 1];
+        const inner = weights.slice(1, -1);
+        const peak = Math.max(...weights);
+        const steps = weights.slice(1).map((weight, i) => weight - weights[i]);
+        
+        if (first < peak && last === peak && weights.indexOf(peak) < weights.length - 1 &&
+            weights.slice(weights.indexOf(peak)).every(weight => weight === peak)) {
+            return "plateau"; // Peaks then maintains
+        }
+        if (last > first && steps.every(step => step >= 0)) return "building"; // Increases over time
+        if (last < first && steps.every(step => step <= 0)) return "resolving"; // Decreases over time
+        if (inner.length > 0 && Math.max(...inner) > Math.max(first, last)) return "climactic"; // Peaks mid-text
+        if (inner.length > 0 && Math.min(...inner) < Math.min(first, last)) return "dip_recovery"; // U-shaped
+        return "irregular";
+    }
+
     calculateTemporalCoherence(segments) {
         // Calculate how consistent patterns are across segments
+        const segmentKeys = Object.keys(segments);
         const allPatterns = new Set();
-        ["early", "middle", "late"].forEach(seg => {
+        segmentKeys.forEach(seg => {
             Object.keys(segments[seg].patterns).forEach(p => allPatterns.add(p));
         });
         
@@ -202,15 +314,15 @@ class TemporalAnalyzer {
         let consistencyScore = 0;
         
         allPatterns.forEach(pattern => {
-            const presence = ["early", "middle", "late"].map(seg => 
+            const presence = segmentKeys.map(seg => 
                 segments[seg].patterns[pattern] ? 1 : 0
             );
             
             // Score higher if pattern is consistently present or consistently absent
             const sum = presence.reduce((a, b) => a + b);
-            if (sum === 3 || sum === 0) {
+            if (sum === segmentKeys.length || sum === 0) {
                 consistencyScore += 1; // Perfect consistency
-            } else if (sum === 2 || sum === 1) {
+            } else {
                 consistencyScore += 0.3; // Some inconsistency
             }
         });
@@ -220,12 +332,13 @@ class TemporalAnalyzer {
     }
 
     generateTemporalSummary(segments, shifts) {
-        const segmentKeys = ["early", "middle", "late"];
+        const segmentKeys = Object.keys(segments);
+        const labelOf = seg => segments[seg]?.label || seg;
         
         // Overall marker density
         const totalMarkers = segmentKeys.reduce((sum, seg) => sum + segments[seg].markerCount, 0);
         const totalTokens = segmentKeys.reduce((sum, seg) => sum + segments[seg].tokenCount, 0);
-        const overallDensity = totalMarkers / totalTokens;
+        const overallDensity = totalTokens > 0 ? totalMarkers / totalTokens : 0;
         
         let summary = `Overall cognitive marker density: ${(overallDensity * 100).toFixed(1)}%`;
         
@@ -239,8 +352,8 @@ class TemporalAnalyzer {
         const densestSegment = densities[0];
         const sparsestSegment = densities[densities.length - 1];
         
-        summary += `\nDensest in ${densestSegment.segment} segment (${(densestSegment.density * 100).toFixed(1)}%), `;
-        summary += `sparsest in ${sparsestSegment.segment} (${(sparsestSegment.density * 100).toFixed(1)}%).`;
+        summary += `\nDensest in ${labelOf(densestSegment.segment)} (${(densestSegment.density * 100).toFixed(1)}%), `;
+        summary += `sparsest in ${labelOf(sparsestSegment.segment)} (${(sparsestSegment.density * 100).toFixed(1)}%).`;
         
         // Emotional valence trend
         const valenceTrend = segmentKeys.map(seg => segments[seg].avgValence);
@@ -256,44 +369,52 @@ class TemporalAnalyzer {
             if (significantShifts.length > 0) {
                 summary += `\nNotable pattern shifts:`;
                 significantShifts.slice(0, 3).forEach(shift => {
-                    summary += `\n- ${shift.pattern} ${shift.type} from ${shift.from} to ${shift.to} segment`;
+                    summary += `\n- ${shift.pattern} ${shift.type} from ${labelOf(shift.from)} to ${labelOf(shift.to)}`;
                 });
             }
         }
         
-        // Narrative arc summary
+        // Narrative arc summary: where pattern complexity is at its single highest
         const patternCounts = segmentKeys.map(seg => 
             Object.keys(segments[seg].patterns).length
         );
+        const maxCount = Math.max(...patternCounts);
+        const peakIndex = patternCounts.indexOf(maxCount);
+        const peakPhase = segments[segmentKeys[peakIndex]]?.phase;
         
-        if (patternCounts[1] > patternCounts[0] && patternCounts[1] > patternCounts[2]) {
-            summary += `\nPattern complexity peaks in the middle segment.`;
-        } else if (patternCounts[0] > patternCounts[1] && patternCounts[0] > patternCounts[2]) {
-            summary += `\nMost patterns introduced early, then diminish.`;
-        } else if (patternCounts[2] > patternCounts[0] && patternCounts[2] > patternCounts[1]) {
-            summary += `\nPattern complexity builds toward the end.`;
+        if (maxCount > 0 && patternCounts.filter(count => count === maxCount).length === 1) {
+            if (peakIndex === 0) {
+                summary += `\nMost patterns introduced early, then diminish.`;
+            } else if (peakIndex === patternCounts.length - 1) {
+                summary += `\nPattern complexity builds toward the end.`;
+            } else {
+                summary += `\nPattern complexity peaks in the ${peakPhase} segment (${labelOf(segmentKeys[peakIndex])}).`;
+            }
         }
         
         return summary;
     }
 
     getPatternTrajectory(pattern, segments) {
-        const weights = ["early", "middle", "late"].map(seg => 
+        const weights = Object.keys(segments).map(seg => 
             segments[seg].patterns[pattern]?.weight || 0
         );
         
+        const trend = weights[weights.length - 1] - weights[0];
+        
         return {
             pattern,
             trajectory: weights,
-            peakSegment: this.getPeakSegment(weights),
+            arc: this.classifyArc(weights),
+            trend: trend > 0 ? "increasing" : trend < 0 ? "decreasing" : "stable",
+            peakSegment: this.getPeakSegment(weights, segments),
             stability: this.calculateTrajectoryStability(weights)
         };
     }
 
-    getPeakSegment(weights) {
+    getPeakSegment(weights, segments) {
         const maxWeight = Math.max(...weights);
-        const segments = ["early", "middle", "late"];
-        return segments[weights.indexOf(maxWeight)];
+        return Object.keys(segments)[weights.indexOf(maxWeight)];
     }
 
     calculateTrajectoryStability(weights) {
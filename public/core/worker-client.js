@@ -0,0 +1,110 @@
+// COGNITIVE INSIGHT ENGINE - Web Worker Client
+// Version 3.2 - Promise-based page side of the engine-worker.js message protocol
+
+class EngineWorkerClient {
+    constructor(workerUrl = 'core/engine-worker.js', options = {}) {
+        this.workerUrl = workerUrl;
+        this.WorkerClass = options.WorkerClass || Worker;
+        this.jobs = new Map(); // id -> pending job, in submission order
+        this.nextJobId = 1;
+        this.worker = null;
+        this.spawn();
+    }
+
+    // ========== JOBS ==========
+
+    // Resolves with the worker's report ({ analysis, conflicts, confidence, ... }); the promise
+    // carries the job id for cancel(). onProgress receives { stage, progress } with progress in 0..1
+    analyze(text, options = {}, onProgress = null) {
+        const id = this.nextJobId++;
+        const message = { type: 'analyze', id, text, options };
+        const promise = new Promise((resolve, reject) => {
+            this.jobs.set(id, { message, resolve, reject, onProgress, started: false });
+        });
+        promise.id = id;
+        this.worker.postMessage(message);
+        return promise;
+    }
+
+    // Cancels one job, or every pending job without an id; rejects them with error.cancelled set
+    cancel(id = null) {
+        const ids = id === null ? [...this.jobs.keys()] : [id];
+        let restart = false;
+        let cancelled = 0;
+
+        ids.forEach(jobId => {
+            const job = this.jobs.get(jobId);
+            if (!job) return;
+            this.jobs.delete(jobId);
+            restart = restart || job.started;
+            cancelled++;
+
+            const error = new Error('Analysis cancelled');
+            error.cancelled = true;
+            job.reject(error);
+            if (!job.started) this.worker.postMessage({ type: 'cancel', id: jobId });
+        });
+
+        // A started job can't be interrupted; replace the worker and resubmit what is still waiting
+        if (restart) {
+            this.worker.terminate();
+            this.spawn();
+            this.jobs.forEach(job => {
+                job.started = false;
+                this.worker.postMessage(job.message);
+            });
+        }
+        return cancelled > 0;
+    }
+
+    get pending() {
+        return this.jobs.size;
+    }
+
+    // ========== WORKER ==========
+
+    spawn() {
+        this.worker = new this.WorkerClass(this.workerUrl);
+        this.worker.onmessage = event => this.handleMessage(event.data);
+        this.worker.onerror = event => {
+            // A failed worker takes every pending job with it
+            const error = new Error(event.message || 'Analysis worker failed');
+            this.jobs.forEach(job => job.reject(error));
+            this.jobs.clear();
+        };
+    }
+
+    handleMessage(message) {
+        const job = this.jobs.get(message.id);
+        if (!job) return;
+
+        switch (message.type) {
+            case 'started':
+                job.started = true;
+                break;
+            case 'progress':
+                if (job.onProgress) job.onProgress({ stage: message.stage, progress: message.progress });
+                break;
+            case 'result':
+                this.jobs.delete(message.id);
+                job.resolve(message.report);
+                break;
+            case 'error':
+                this.jobs.delete(message.id);
+                job.reject(new Error(message.message));
+                break;
+        }
+    }
+
+    terminate() {
+        this.worker.terminate();
+        const error = new Error('Analysis worker terminated');
+        error.cancelled = true;
+        this.jobs.forEach(job => job.reject(error));
+        this.jobs.clear();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EngineWorkerClient;
+}
@@ -227,9 +227,9 @@ class NarrativeGenerator {
         narrative += this.generateIntroduction(analysis);
         narrative += "\n\n";
         
-        // Primary patterns
+        // Primary patterns (distortions; adaptive counter-patterns are listed as strengths)
         const primaryPatterns = Object.entries(patterns)
-            .filter(([_, data]) => data.confidence > 0.5)
+            .filter(([pattern, data]) => !this.isAdaptive(pattern) && data.confidence > 0.5)
             .sort((a, b) => b[1].weightedScore - a[1].weightedScore)
             .slice(0, 3);
         
@@ -261,6 +261,20 @@ class NarrativeGenerator {
             narrative += "\n";
         }
         
+        // Healthy counter-patterns
+        const strengths = Object.entries(patterns)
+            .filter(([pattern, data]) => this.isAdaptive(pattern) && data.confidence > 0.5)
+            .sort((a, b) => b[1].weightedScore - a[1].weightedScore);
+        
+        if (strengths.length > 0) {
+            narrative += "## Strengths\n\n";
+            strengths.forEach(([pattern]) => {
+                const patternInfo = this.kb.patterns[pattern];
+                narrative += `- **${patternInfo.name}**: ${patternInfo.reinforcement_strategy || patternInfo.clinical_correlation}\n`;
+            });
+            narrative += "\n";
+        }
+        
         // Conflicts and tensions
         if (conflicts && conflicts.length > 0) {
             const significantConflicts = conflicts
@@ -343,8 +357,9 @@ class NarrativeGenerator {
         let recommendations = "";
         const { patterns, drivers } = analysis;
         
-        // Get top 3 patterns by weight
+        // Get top 3 distortions by weight
         const topPatterns = Object.entries(patterns)
+            .filter(([pattern]) => !this.isAdaptive(pattern))
             .sort((a, b) => b[1].weightedScore - a[1].weightedScore)
             .slice(0, 3);
         
@@ -457,6 +472,10 @@ class NarrativeGenerator {
         
         return insights;
     }
+
+    isAdaptive(pattern) {
+        return Boolean(this.kb.patterns[pattern]?.adaptive);
+    }
 }
 
 if (typeof module !== 'undefined' && module.exports) {
@@ -48,10 +48,12 @@ class PatternGraph {
                 });
             }
             
-            // Conflict edges
+            // Conflict edges; both sides usually list the conflict, so each pair gets one edge
             if (relationships.conflicts_with) {
                 relationships.conflicts_with.forEach(targetPattern => {
-                    if (graph.nodes[targetPattern]) {
+                    const exists = graph.edges.some(edge => edge.type === 'conflicts' &&
+                        edge.source === targetPattern && edge.target === sourcePattern);
+                    if (graph.nodes[targetPattern] && !exists) {
                         graph.edges.push({
                             source: sourcePattern,
                             target: targetPattern,
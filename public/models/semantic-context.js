@@ -1,21 +1,30 @@
 // Semantic Context Analyzer - Advanced context and modifier handling
 
 class SemanticContextAnalyzer {
-    constructor(knowledgeBase) {
+    constructor(knowledgeBase, options = {}) {
         this.kb = knowledgeBase;
+        // A LanguagePipeline; without one, words are split on non-letters
+        this.language = options.language || null;
     }
 
-    analyzeSentence(sentence, position) {
+    analyzeSentence(sentence, position, language = this.language) {
         // Advanced sentence parsing for better context understanding
+        const words = this.words(sentence, language);
+        
         return {
             sentenceType: this.classifySentenceType(sentence),
-            emotionalTone: this.analyzeEmotionalTone(sentence),
-            certaintyLevel: this.analyzeCertainty(sentence),
-            agencyFocus: this.analyzeAgency(sentence),
-            temporalFocus: this.analyzeTemporalFocus(sentence)
+            emotionalTone: this.analyzeEmotionalTone(sentence, language),
+            certaintyLevel: this.analyzeCertainty(words, language),
+            agencyFocus: this.analyzeAgency(words, language),
+            temporalFocus: this.analyzeTemporalFocus(words, language)
         };
     }
 
+    words(sentence, language = this.language) {
+        if (language) return language.readingWords(sentence);
+        return sentence.toLowerCase().split(/[^\p{L}']+/u).filter(Boolean);
+    }
+
     classifySentenceType(sentence) {
         if (/[.!?]$/.test(sentence.trim())) {
             const lastChar = sentence.trim().slice(-1);
@@ -26,19 +35,21 @@ class SemanticContextAnalyzer {
         return 'fragment';
     }
 
-    analyzeEmotionalTone(sentence) {
-        const words = sentence.toLowerCase().split(/\s+/);
+    analyzeEmotionalTone(sentence, language = this.language) {
+        const words = this.words(sentence, language);
         let positive = 0;
         let negative = 0;
         let neutral = 0;
         
-        // Simple emotional word detection (would be expanded in full version)
+        // Simple emotional word detection, or the language's sentiment lexicon when there is one
         const positiveWords = ['happy', 'good', 'great', 'love', 'like', 'enjoy'];
         const negativeWords = ['bad', 'sad', 'angry', 'hate', 'terrible', 'awful'];
+        const sentiment = language?.sentiment;
         
         words.forEach(word => {
-            if (positiveWords.includes(word)) positive++;
-            else if (negativeWords.includes(word)) negative++;
+            const score = sentiment ? sentiment[word] : undefined;
+            if (score > 0 || (!sentiment && positiveWords.includes(word))) positive++;
+            else if (score < 0 || (!sentiment && negativeWords.includes(word))) negative++;
             else neutral++;
         });
         
@@ -50,6 +61,66 @@ class SemanticContextAnalyzer {
         if (ratio < 0.3) return 'negative';
         return 'mixed';
     }
+
+    analyzeCertainty(words, language = this.language) {
+        // Hedges soften a claim, boosters harden it
+        const hedgeWords = language?.certainty.hedges || this.kb.diminishers?.uncertainty || [];
+        const boosterWords = language?.certainty.boosters || this.kb.amplifiers?.extreme || [];
+        const hedges = this.findMarkers(words, hedgeWords);
+        const boosters = this.findMarkers(words, boosterWords);
+        
+        const total = hedges.length + boosters.length;
+        const score = total > 0 ? (boosters.length - hedges.length) / total : 0;
+        
+        let level = 'neutral';
+        if (score > 0) level = 'high';
+        else if (score < 0) level = 'low';
+        else if (total > 0) level = 'mixed';
+        
+        return { level, score, hedges, boosters };
+    }
+
+    analyzeAgency(words, language = this.language) {
+        const persons = language?.agency.persons || new Map();
+        const possessives = language?.agency.possessives || {};
+        const counts = { first: 0, second: 0, third: 0 };
+        
+        words.forEach(word => {
+            const person = persons.get(word) || possessives[word];
+            if (person) counts[person]++;
+        });
+        
+        const others = counts.second + counts.third;
+        let focus = 'impersonal';
+        if (counts.first > 0 && others > 0) focus = counts.first >= others * 2 ? 'self' : 'mixed';
+        else if (counts.first > 0) focus = 'self';
+        else if (others > 0) focus = 'other';
+        
+        return { focus, ...counts };
+    }
+
+    analyzeTemporalFocus(words, language = this.language) {
+        const temporalMarkers = language?.temporalMarkers || this.kb.temporal_markers || {};
+        const counts = {};
+        
+        Object.entries(temporalMarkers).forEach(([type, data]) => {
+            counts[type.replace(/_focus$/, '')] = this.findMarkers(words, data.words || []).length;
+        });
+        
+        const max = Math.max(0, ...Object.values(counts));
+        const leaders = Object.keys(counts).filter(type => counts[type] === max);
+        
+        let focus = 'none';
+        if (max > 0) focus = leaders.length === 1 ? leaders[0] : 'mixed';
+        
+        return { focus, counts };
+    }
+
+    findMarkers(words, markers) {
+        // Markers may span words ("going_to", "kind_of")
+        const joined = `_${words.join('_')}_`;
+        return markers.filter(marker => joined.includes(`_${marker}_`));
+    }
 }
 
 if (typeof module !== 'undefined' && module.exports) {
@@ -8,6 +8,8 @@ const morgan = require('morgan');
 // Import the cognitive engine
 const KNOWLEDGE_BASE = require('./public/core/knowledge.js');
 const CognitiveEngine = require('./public/core/engine.js');
+const { createCacheBackend } = require('./public/core/cache-backends.js');
+const AnalysisPool = require('./analysis-pool.js');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -21,7 +23,68 @@ app.use(morgan('dev')); // HTTP request logger
 app.use(express.static(path.join(__dirname, 'public'))); // Serve static files
 
 // Initialize cognitive engine
-const engine = new CognitiveEngine(KNOWLEDGE_BASE);
+// CACHE_BACKEND=sqlite|redis keeps analyses across restarts and shares them between instances
+const cacheTtl = Number(process.env.CACHE_TTL_MS) || 0;
+const cacheOptions = {
+    maxBytes: (Number(process.env.CACHE_MAX_MB) || 32) * 1024 * 1024,
+    ttl: cacheTtl
+};
+const cacheBackend = process.env.CACHE_BACKEND ? {
+    type: process.env.CACHE_BACKEND,
+    options: { filename: process.env.CACHE_SQLITE_FILE, url: process.env.REDIS_URL, ttl: cacheTtl }
+} : null;
+
+// Unset, blank, non-numeric or negative settings read as undefined so `??` supplies the default; 0 is kept
+function readCount(name) {
+    const raw = process.env[name];
+    if (raw === undefined || raw.trim() === '') return undefined;
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value < 0) {
+        console.warn(`Ignoring ${name}=${raw}: expected a non-negative number`);
+        return undefined;
+    }
+    return value;
+}
+
+// Analyses run on worker threads so health checks and other clients are never blocked;
+// ANALYSIS_WORKERS=0 analyzes on the main thread instead
+const workerCount = readCount('ANALYSIS_WORKERS');
+const analysisPool = workerCount === 0 ? null : new AnalysisPool({
+    size: workerCount,
+    maxQueue: readCount('ANALYSIS_QUEUE_MAX') ?? 100,
+    timeout: readCount('ANALYSIS_TIMEOUT_MS') ?? 30000,
+    workerData: { cache: cacheOptions, cacheBackend }
+});
+
+// Each worker opens its own backend connection; the main engine only needs one when it analyzes itself
+const engine = new CognitiveEngine(KNOWLEDGE_BASE, {
+    cache: cacheOptions,
+    cacheBackend: cacheBackend && !analysisPool ? createCacheBackend(cacheBackend.type, cacheBackend.options) : null
+});
+
+function runAnalysis(text, options = {}) {
+    return analysisPool ? analysisPool.run('analyze', [text, options]) : engine.analyzeAsync(text, options);
+}
+
+// Pool rejections map to 503 (queue full, with Retry-After) and 504 (job timed out)
+function sendPoolError(res, error) {
+    if (error.code === 'POOL_BUSY') {
+        res.set('Retry-After', String(error.retryAfter));
+        res.status(503).json({
+            error: 'Server busy',
+            message: 'Too many analyses in progress, please retry shortly'
+        });
+        return true;
+    }
+    if (error.code === 'JOB_TIMEOUT') {
+        res.status(504).json({
+            error: 'Analysis timed out',
+            message: error.message
+        });
+        return true;
+    }
+    return false;
+}
 
 // ========== API ENDPOINTS ==========
 
@@ -37,7 +100,7 @@ app.get('/api/health', (req, res) => {
 });
 
 // Analyze text
-app.post('/api/analyze', (req, res) => {
+app.post('/api/analyze', async (req, res) => {
     try {
         const { text, options = {} } = req.body;
         
@@ -62,11 +125,25 @@ app.post('/api/analyze', (req, res) => {
             });
         }
         
+        if (options.language && !engine.languages.has(options.language)) {
+            return res.status(400).json({
+                error: 'Unsupported language',
+                message: `Supported languages: ${[...engine.languages.keys()].join(', ')}`
+            });
+        }
+        
+        if (options.profile && !engine.profiles[options.profile]) {
+            return res.status(400).json({
+                error: 'Unknown analysis profile',
+                message: `Available profiles: ${Object.keys(engine.profiles).join(', ')}`
+            });
+        }
+        
         console.log(`Analyzing text (${text.length} chars)...`);
         const startTime = Date.now();
         
         // Perform analysis
-        const analysis = engine.analyze(text);
+        const analysis = await runAnalysis(text, { language: options.language, profile: options.profile });
         
         const processingTime = Date.now() - startTime;
         
@@ -85,6 +162,7 @@ app.post('/api/analyze', (req, res) => {
         });
         
     } catch (error) {
+        if (sendPoolError(res, error)) return;
         console.error('Analysis error:', error);
         res.status(500).json({
             error: 'Analysis failed',
@@ -95,7 +173,7 @@ app.post('/api/analyze', (req, res) => {
 });
 
 // Batch analyze multiple texts
-app.post('/api/analyze/batch', (req, res) => {
+app.post('/api/analyze/batch', async (req, res) => {
     try {
         const { texts } = req.body;
         
@@ -113,12 +191,17 @@ app.post('/api/analyze/batch', (req, res) => {
             });
         }
         
-        const results = texts.map((text, index) => {
+        // All or nothing, so a busy server never returns a half-analyzed batch
+        if (analysisPool && !analysisPool.hasCapacity(texts.filter(Boolean).length)) {
+            return sendPoolError(res, analysisPool.busyError());
+        }
+        
+        const results = await Promise.all(texts.map(async (text, index) => {
             try {
                 return {
                     index,
                     success: true,
-                    data: text ? engine.analyze(text) : null
+                    data: text ? await runAnalysis(text) : null
                 };
             } catch (error) {
                 return {
@@ -127,7 +210,7 @@ app.post('/api/analyze/batch', (req, res) => {
                     error: error.message
                 };
             }
-        });
+        }));
         
         res.json({
             success: true,
@@ -160,8 +243,12 @@ app.get('/api/stats', (req, res) => {
         },
         engine: {
             version: '3.0.0',
-            contextWindow: engine.contextWindow,
-            temporalSegments: engine.temporalSegments
+            profile: engine.config.profile,
+            contextWindow: engine.config.contextWindow,
+            temporalSegments: engine.config.temporalSegments,
+            // With a worker pool each worker keeps its own cache
+            cache: analysisPool ? null : engine.getStatistics().cache,
+            workerPool: analysisPool ? analysisPool.getStatistics() : null
         },
         system: {
             nodeVersion: process.version,
@@ -236,8 +323,10 @@ app.listen(PORT, () => {
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
     console.log('SIGTERM received. Shutting down gracefully...');
+    if (analysisPool) await analysisPool.close();
+    if (engine.cacheBackend) await engine.cacheBackend.close();
     process.exit(0);
 });
 